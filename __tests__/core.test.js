@@ -64,6 +64,48 @@ describe('postcss-remove-duplicate-values', () => {
     });
   });
 
+  describe('Property names', () => {
+    test('should compare property names case-insensitively', async () => {
+      const output = await getCSS(
+        '.a { COLOR: red; Color: green; color: blue; }',
+      );
+
+      expect(output).toBe('.a { color: blue; }');
+    });
+
+    test('should resolve escapes in property names', async () => {
+      const output = await getCSS(
+        '.a { col\\6f r: red; c\\olor: green; color: blue; }',
+      );
+
+      expect(output).toBe('.a { color: blue; }');
+    });
+
+    test('should keep custom properties case-sensitive', async () => {
+      const output = await getCSS(
+        '.a { --Brand: red; --brand: green; --brand: blue; }',
+      );
+
+      expect(output).toBe('.a { --Brand: red; --brand: blue; }');
+    });
+
+    test('should match property filters against normalized names', async () => {
+      const output = await getCSS('.a { COLOR: red; color: blue; }', {
+        properties: 'color',
+      });
+
+      expect(output).toBe('.a { color: blue; }');
+    });
+
+    test('should detect shorthand overrides regardless of case', async () => {
+      const output = await getCSS('.a { margin-top: 1px; MARGIN: 0; }', {
+        shorthands: true,
+      });
+
+      expect(output).toBe('.a { MARGIN: 0; }');
+    });
+  });
+
   describe('!important handling', () => {
     test('should preserve !important declarations over non-important ones', async () => {
       const input = `
@@ -187,159 +229,2054 @@ describe('postcss-remove-duplicate-values', () => {
     });
   });
 
-  describe('Selector filtering', () => {
-    test('should process only specified string selector', async () => {
+  describe('Progressive enhancement fallbacks', () => {
+    test('should remove fallbacks by default', async () => {
       const input = `
-        .container {
+        .element {
+          width: 100px;
+          width: clamp(100px, 50%, 300px);
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('width: clamp(100px, 50%, 300px)');
+      expect(output).not.toContain('width: 100px');
+    });
+
+    test('should keep fallbacks for modern values when preserveFallbacks is true', async () => {
+      const input = `
+        .element {
+          width: 100px;
+          width: clamp(100px, 50%, 300px);
+          color: #333;
+          color: oklch(40% 0.1 250);
+          height: 100vh;
+          height: 100dvh;
+          background: red;
+          background: color-mix(in srgb, red 50%, blue);
+        }
+      `;
+
+      const output = await getCSS(input, { preserveFallbacks: true });
+
+      expect(output).toContain('width: 100px');
+      expect(output).toContain('width: clamp(100px, 50%, 300px)');
+      expect(output).toContain('color: #333');
+      expect(output).toContain('color: oklch(40% 0.1 250)');
+      expect(output).toContain('height: 100vh');
+      expect(output).toContain('height: 100dvh');
+      expect(output).toContain('background: red');
+      expect(output).toContain('background: color-mix(in srgb, red 50%, blue)');
+    });
+
+    test('should still remove true duplicates when preserveFallbacks is true', async () => {
+      const input = `
+        .element {
+          width: 100px;
+          width: 200px;
+          height: clamp(1px, 2px, 3px);
+          height: clamp(4px, 5px, 6px);
+        }
+      `;
+
+      const output = await getCSS(input, { preserveFallbacks: true });
+
+      expect(output).toContain('width: 200px');
+      expect(output).not.toContain('width: 100px');
+      expect(output).toContain('height: clamp(4px, 5px, 6px)');
+      expect(output).not.toContain('height: clamp(1px, 2px, 3px)');
+    });
+
+    test('should keep a fallback chain and drop overridden members', async () => {
+      const input = `
+        .element {
+          width: 100px;
+          width: clamp(1px, 2px, 3px);
+          width: clamp(4px, 5px, 6px);
           color: red;
+          color: lab(50% 40 59);
           color: blue;
         }
-        .button {
-          color: green;
-          color: yellow;
-        }
       `;
 
-      const output = await getCSS(input, { selector: '.container' });
+      const output = await getCSS(input, { preserveFallbacks: true });
 
+      expect(output).toContain('width: 100px');
+      expect(output).toContain('width: clamp(4px, 5px, 6px)');
+      expect(output).not.toContain('width: clamp(1px, 2px, 3px)');
       expect(output).toContain('color: blue');
       expect(output).not.toContain('color: red');
-      expect(output).toContain('color: green');
-      expect(output).toContain('color: yellow');
+      expect(output).not.toContain('color: lab(50% 40 59)');
     });
 
-    test('should process only regex matching selectors', async () => {
+    test('should let !important win over a modern value', async () => {
       const input = `
-        .btn-primary {
-          color: red;
-          color: blue;
+        .element {
+          width: 100px !important;
+          width: min(100px, 50%);
         }
-        .btn-secondary {
-          color: green;
-          color: yellow;
+      `;
+
+      const output = await getCSS(input, { preserveFallbacks: true });
+
+      expect(output).toContain('width: 100px !important');
+      expect(output).not.toContain('width: min(100px, 50%)');
+    });
+
+    test('should ignore modern syntax inside strings', async () => {
+      const input = `
+        .element {
+          content: "plain";
+          content: "clamp(1px, 2px, 3px)";
         }
-        .card {
-          margin: 10px;
+      `;
+
+      const output = await getCSS(input, { preserveFallbacks: true });
+
+      expect(output).toContain('content: "clamp(1px, 2px, 3px)"');
+      expect(output).not.toContain('content: "plain"');
+    });
+  });
+
+  describe('Vendor-prefixed values', () => {
+    test('should keep display fallbacks with prefixed keywords', async () => {
+      const input = `
+        .element {
+          display: -webkit-box;
+          display: -ms-flexbox;
+          display: flex;
         }
       `;
 
-      const output = await getCSS(input, { selector: /\.btn-/ });
+      const output = await getCSS(input);
 
-      expect(output).toContain('color: blue');
-      expect(output).toContain('color: yellow');
-      expect(output).not.toContain('color: red');
-      expect(output).not.toContain('color: green');
-      expect(output).toContain('margin: 10px');
+      expect(output).toContain('display: -webkit-box');
+      expect(output).toContain('display: -ms-flexbox');
+      expect(output).toContain('display: flex');
     });
 
-    test('should process only function matching selectors', async () => {
+    test('should keep fallbacks with prefixed functions', async () => {
       const input = `
-        .button {
-          color: red;
-          color: blue;
+        .element {
+          background: -webkit-linear-gradient(top, red, blue);
+          background: linear-gradient(to bottom, red, blue);
+          width: calc(100% - 10px);
+          width: -moz-calc(100% - 10px);
+          width: calc(100% - 20px);
         }
-        .card {
-          margin: 10px;
-          margin: 20px;
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain(
+        'background: -webkit-linear-gradient(top, red, blue)',
+      );
+      expect(output).toContain(
+        'background: linear-gradient(to bottom, red, blue)',
+      );
+      expect(output).toContain('width: -moz-calc(100% - 10px)');
+      expect(output).toContain('width: calc(100% - 20px)');
+      expect(output).not.toContain('width: calc(100% - 10px)');
+    });
+
+    test('should remove duplicates using the same prefixed syntax', async () => {
+      const input = `
+        .element {
+          display: -webkit-box;
+          display: -webkit-box;
+          background: -webkit-linear-gradient(top, red, blue);
+          background: -webkit-linear-gradient(top, red, green);
         }
       `;
 
-      const output = await getCSS(input, {
-        selector: selector => selector.includes('button'),
-      });
+      const output = await getCSS(input);
 
-      expect(output).toContain('color: blue');
-      expect(output).not.toContain('color: red');
-      expect(output).toContain('margin: 10px');
-      expect(output).toContain('margin: 20px');
+      expect(output.match(/display: -webkit-box/g)).toHaveLength(1);
+      expect(output).toContain(
+        'background: -webkit-linear-gradient(top, red, green)',
+      );
+      expect(output).not.toContain(
+        'background: -webkit-linear-gradient(top, red, blue)',
+      );
     });
 
-    test('should process all selectors when no selector option is provided', async () => {
+    test('should support custom prefixes', async () => {
       const input = `
-        .button {
+        .element {
+          -khtml-user-select: none;
+          -khtml-user-select: text;
+          display: -khtml-box;
+          display: -webkit-box;
+          display: flex;
+        }
+      `;
+
+      const output = await getCSS(input, { prefixes: ['-khtml-'] });
+
+      expect(output).toContain('-khtml-user-select: text');
+      expect(output).not.toContain('-khtml-user-select: none');
+      expect(output).toContain('display: -khtml-box');
+      expect(output).not.toContain('display: -webkit-box');
+      expect(output).toContain('display: flex');
+    });
+  });
+
+  describe('Value normalization', () => {
+    test('should keep differing values when redundantOnly is true', async () => {
+      const input = `
+        .element {
           color: red;
           color: blue;
-        }
-        .card {
           margin: 10px;
-          margin: 20px;
+          margin: 10px;
         }
       `;
 
-      const output = await getCSS(input);
+      const output = await getCSS(input, { redundantOnly: true });
 
+      expect(output).toContain('color: red');
       expect(output).toContain('color: blue');
-      expect(output).toContain('margin: 20px');
-      expect(output).not.toContain('color: red');
-      expect(output).not.toContain('margin: 10px');
+      expect(output.match(/margin: 10px/g)).toHaveLength(1);
     });
-  });
 
-  describe('Empty rule handling', () => {
-    test('should remove empty rules by default', async () => {
+    test('should treat equivalent values as identical when normalizeValues is true', async () => {
       const input = `
-        .empty-rule {
+        .element {
+          color: #fff;
+          color: #FFFFFF;
+          color: white;
+          color: rgb(255, 255, 255);
+          margin: 0px;
+          margin: 0;
+          padding: 0.50em  1EM;
+          padding: .5em 1em;
+          width: calc( 100%  -  10px );
+          width: calc(100% - 10px);
         }
-        .non-empty-rule {
-          color: blue;
+      `;
+
+      const output = await getCSS(input, {
+        normalizeValues: true,
+        redundantOnly: true,
+      });
+
+      expect(output).toContain('color: rgb(255, 255, 255)');
+      expect(output).not.toContain('color: #fff;');
+      expect(output).not.toContain('color: #FFFFFF');
+      expect(output).not.toContain('color: white');
+      expect(output).toContain('margin: 0;');
+      expect(output).not.toContain('margin: 0px');
+      expect(output).toContain('padding: .5em 1em');
+      expect(output).not.toContain('padding: 0.50em  1EM');
+      expect(output).toContain('width: calc(100% - 10px)');
+      expect(output).not.toContain('width: calc( 100%  -  10px )');
+    });
+
+    test('should not treat exact-text differences as identical without normalizeValues', async () => {
+      const input = `
+        .element {
+          color: #fff;
+          color: white;
         }
       `;
 
-      const output = await getCSS(input);
+      const output = await getCSS(input, { redundantOnly: true });
 
-      expect(output).not.toContain('.empty-rule');
-      expect(output).toContain('.non-empty-rule');
-      expect(output).toContain('color: blue');
+      expect(output).toContain('color: #fff');
+      expect(output).toContain('color: white');
     });
 
-    test('should preserve empty rules when preserveEmpty is true', async () => {
+    test('should keep values that only look alike', async () => {
       const input = `
-        .empty-rule {
+        .element {
+          content: "A";
+          content: "a";
+          animation-name: Fade;
+          animation-name: fade;
+          width: calc(0px + 10%);
+          width: calc(0 + 10%);
+          --Gap: 0px;
+          --Gap: 0;
         }
-        .non-empty-rule {
+      `;
+
+      const output = await getCSS(input, {
+        normalizeValues: true,
+        redundantOnly: true,
+      });
+
+      expect(output).toContain('content: "A"');
+      expect(output).toContain('content: "a"');
+      expect(output).toContain('animation-name: Fade');
+      expect(output).toContain('animation-name: fade');
+      expect(output).toContain('width: calc(0px + 10%)');
+      expect(output).toContain('width: calc(0 + 10%)');
+      expect(output).toContain('--Gap: 0px');
+      expect(output).toContain('--Gap: 0');
+    });
+
+    test('should keep a differing non-important value after !important', async () => {
+      const input = `
+        .element {
+          color: red !important;
           color: blue;
+          color: red;
         }
       `;
 
-      const output = await getCSS(input, { preserveEmpty: true });
+      const output = await getCSS(input, { redundantOnly: true });
 
-      expect(output).toContain('.empty-rule');
-      expect(output).toContain('.non-empty-rule');
+      expect(output).toContain('color: red !important');
       expect(output).toContain('color: blue');
+      expect(output).not.toMatch(/color: red;/);
     });
+  });
 
-    test('should handle rules with only comments as empty', async () => {
+  describe('Shorthand overrides', () => {
+    test('should keep longhands before a shorthand by default', async () => {
       const input = `
-        .comment-only {
-          /* This is a comment */
-        }
-        .with-property {
-          color: blue;
+        .element {
+          margin-top: 5px;
+          margin: 10px;
         }
       `;
 
       const output = await getCSS(input);
 
-      expect(output).not.toContain('.comment-only');
-      expect(output).toContain('.with-property');
-      expect(output).toContain('color: blue');
+      expect(output).toContain('margin-top: 5px');
+      expect(output).toContain('margin: 10px');
     });
 
-    test('should preserve rules with only comments when preserveEmpty is true', async () => {
+    test('should remove longhands overridden by a later shorthand', async () => {
       const input = `
-        .comment-only {
-          /* This is a comment */
+        .element {
+          margin-top: 5px;
+          margin-inline-start: 5px;
+          padding-left: 5px;
+          border-top-color: red;
+          border-width: 2px;
+          background-color: red;
+          font-weight: bold;
+          top: 0;
+          grid-row-start: 1;
+          flex-grow: 1;
+          margin: 10px;
+          padding: 10px;
+          border: 1px solid blue;
+          background: url(image.png);
+          font: 12px sans-serif;
+          inset: 0;
+          grid-area: main;
+          flex: 1 1 auto;
         }
-        .with-property {
-          color: blue;
+      `;
+
+      const output = await getCSS(input, { shorthands: true });
+
+      expect(output).not.toContain('margin-top');
+      expect(output).not.toContain('margin-inline-start');
+      expect(output).not.toContain('padding-left');
+      expect(output).not.toContain('border-top-color');
+      expect(output).not.toContain('border-width');
+      expect(output).not.toContain('background-color');
+      expect(output).not.toContain('font-weight');
+      expect(output).not.toContain('top: 0');
+      expect(output).not.toContain('grid-row-start');
+      expect(output).not.toContain('flex-grow');
+      expect(output).toContain('margin: 10px');
+      expect(output).toContain('border: 1px solid blue');
+      expect(output).toContain('flex: 1 1 auto');
+    });
+
+    test('should keep longhands that come after the shorthand', async () => {
+      const input = `
+        .element {
+          padding: 8px;
+          padding-left: 4px;
         }
       `;
 
-      const output = await getCSS(input, { preserveEmpty: true });
+      const output = await getCSS(input, { shorthands: true });
 
-      expect(output).toContain('.comment-only');
-      expect(output).toContain('.with-property');
-      expect(output).toContain('color: blue');
+      expect(output).toContain('padding: 8px');
+      expect(output).toContain('padding-left: 4px');
+    });
+
+    test('should keep important longhands before a normal shorthand', async () => {
+      const input = `
+        .element {
+          margin-top: 5px !important;
+          margin-bottom: 5px;
+          margin: 10px;
+        }
+      `;
+
+      const output = await getCSS(input, { shorthands: true });
+
+      expect(output).toContain('margin-top: 5px !important');
+      expect(output).not.toContain('margin-bottom');
+    });
+
+    test('should keep longhands acting as fallbacks for the shorthand', async () => {
+      const input = `
+        .element {
+          background-image: -webkit-gradient(linear, left top, left bottom, from(red), to(blue));
+          background: linear-gradient(red, blue);
+          background-color: red;
+          background: color-mix(in srgb, red, blue);
+        }
+      `;
+
+      const output = await getCSS(input, {
+        shorthands: true,
+        preserveFallbacks: true,
+      });
+
+      expect(output).toContain('background-image: -webkit-gradient');
+      expect(output).toContain('background-color: red');
+      expect(output).toContain('background: color-mix(in srgb, red, blue)');
+      expect(output).toContain('background: linear-gradient(red, blue)');
+    });
+
+    test('should remove everything except custom properties before all', async () => {
+      const input = `
+        .element {
+          color: red;
+          margin: 10px;
+          direction: rtl;
+          --brand: blue;
+          all: unset;
+          color: green;
+        }
+      `;
+
+      const output = await getCSS(input, { shorthands: true });
+
+      expect(output).not.toContain('color: red');
+      expect(output).not.toContain('margin: 10px');
+      expect(output).toContain('direction: rtl');
+      expect(output).toContain('--brand: blue');
+      expect(output).toContain('all: unset');
+      expect(output).toContain('color: green');
+    });
+  });
+
+  describe('Longhand merging', () => {
+    test('should not merge longhands by default', async () => {
+      const input = `
+        .element {
+          padding: 8px;
+          padding-left: 4px;
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('padding: 8px;');
+      expect(output).toContain('padding-left: 4px');
+    });
+
+    test('should merge a complete set of longhands', async () => {
+      const input = `
+        .element {
+          margin-top: 1px;
+          margin-right: 2px;
+          margin-bottom: 1px;
+          margin-left: 2px;
+          color: red;
+        }
+      `;
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toMatch(/\{\s*margin: 1px 2px;\s*color: red;\s*\}/);
+    });
+
+    test('should not merge a CSS-wide keyword shorthand with an override', async () => {
+      const input = '.a { padding: inherit; padding-left: 4px; }';
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toBe(input);
+    });
+
+    test('should not merge a CSS-wide keyword into one side', async () => {
+      const input =
+        '.a { margin-top: 1px; margin-right: initial; margin-bottom: 1px; margin-left: 2px; }';
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toBe(input);
+    });
+
+    test('should merge sides that all use the same CSS-wide keyword', async () => {
+      const output = await getCSS(
+        '.a { margin-top: unset; margin-right: unset; margin-bottom: unset; margin-left: unset; }',
+        { mergeLonghands: true },
+      );
+
+      expect(output).toBe('.a { margin: unset; }');
+    });
+
+    test('should merge a shorthand followed by longhand overrides', async () => {
+      const input = `
+        .element {
+          padding: 8px;
+          color: red;
+          padding-left: 4px;
+          border-color: red blue;
+          border-top-color: green;
+        }
+      `;
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toContain('padding: 8px 8px 8px 4px');
+      expect(output).not.toContain('padding-left');
+      expect(output).toContain('border-color: green blue red');
+      expect(output).not.toContain('border-top-color');
+    });
+
+    test('should merge after removing duplicates', async () => {
+      const input = `
+        .element {
+          padding: 8px;
+          padding-left: 2px;
+          padding-left: 8px;
+        }
+      `;
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toMatch(/\{\s*padding: 8px;\s*\}/);
+    });
+
+    test('should not merge incomplete or unsafe sets', async () => {
+      const input = `
+        .incomplete {
+          margin-top: 1px;
+          margin-left: 2px;
+        }
+        .important {
+          padding: 8px !important;
+          padding-left: 4px;
+        }
+        .variable {
+          padding: var(--space);
+          padding-left: 4px;
+        }
+        .related {
+          margin: 8px;
+          margin-inline-start: 2px;
+          margin-left: 4px;
+        }
+        .before {
+          margin-left: 4px;
+          margin: 8px;
+        }
+        .inset {
+          top: 0;
+          right: 0;
+          bottom: 0;
+          left: 0;
+        }
+      `;
+
+      const output = await getCSS(input, { mergeLonghands: true });
+
+      expect(output).toContain('margin-top: 1px');
+      expect(output).toContain('padding: 8px !important');
+      expect(output).toContain('padding: var(--space)');
+      expect(output).toContain('margin-inline-start: 2px');
+      expect(output.match(/padding-left: 4px/g)).toHaveLength(2);
+      expect(output.match(/margin-left: 4px/g)).toHaveLength(2);
+      expect(output).not.toContain('inset:');
+    });
+  });
+
+  describe('Removal messages', () => {
+    const getRemovals = async (css, options) => {
+      const result = await processCSS(css, options);
+      return result.messages.filter(message => message.type === 'removal');
+    };
+
+    test('should report overridden and identical duplicates', async () => {
+      const input = `.button {
+  color: red;
+  color: blue;
+  margin: 0;
+  margin: 0;
+}`;
+
+      const removals = await getRemovals(input);
+
+      expect(removals).toEqual([
+        {
+          type: 'removal',
+          plugin: 'postcss-remove-duplicate-values',
+          reason: 'overridden',
+          selector: '.button',
+          prop: 'color',
+          value: 'red',
+          keptProp: 'color',
+          keptValue: 'blue',
+          file: undefined,
+          line: 2,
+          column: 3,
+        },
+        expect.objectContaining({
+          reason: 'identical',
+          prop: 'margin',
+          value: '0',
+          keptValue: '0',
+          line: 4,
+        }),
+      ]);
+    });
+
+    test('should report declarations losing to !important', async () => {
+      const removals = await getRemovals(
+        '.a { color: red !important; color: blue; }',
+      );
+
+      expect(removals).toEqual([
+        expect.objectContaining({
+          reason: 'important-wins',
+          value: 'blue',
+          keptValue: 'red',
+        }),
+      ]);
+    });
+
+    test('should report removed empty rules', async () => {
+      const removals = await getRemovals('.empty {}\n.a { color: red; }');
+
+      expect(removals).toEqual([
+        expect.objectContaining({
+          reason: 'empty-rule',
+          selector: '.empty',
+          line: 1,
+          column: 1,
+        }),
+      ]);
+      expect(removals[0].prop).toBeUndefined();
+    });
+
+    test('should report shorthand overrides and merges', async () => {
+      const removals = await getRemovals(
+        '.a { margin-top: 1px; margin: 0; padding: 8px; padding-left: 4px; }',
+        { shorthands: true, mergeLonghands: true },
+      );
+
+      expect(removals).toEqual([
+        expect.objectContaining({
+          reason: 'overridden',
+          prop: 'margin-top',
+          keptProp: 'margin',
+        }),
+        expect.objectContaining({
+          reason: 'merged',
+          prop: 'padding-left',
+          keptProp: 'padding',
+          keptValue: '8px 8px 8px 4px',
+        }),
+      ]);
+    });
+
+    test('should include the source file and at-rule prelude', async () => {
+      const result = await postcss([plugin()]).process(
+        '@font-face { font-display: swap; font-display: block; }',
+        { from: '/styles/fonts.css' },
+      );
+
+      expect(result.messages).toEqual([
+        expect.objectContaining({
+          selector: '@font-face',
+          file: '/styles/fonts.css',
+        }),
+      ]);
+    });
+  });
+
+  describe('Lint mode', () => {
+    test('should warn about duplicates without changing the CSS', async () => {
+      const input = `.button {
+  color: red;
+  color: blue;
+  margin: 0 !important;
+  margin: 10px;
+}
+.empty {}`;
+
+      const result = await processCSS(input, { lint: true });
+      const warnings = result.warnings();
+
+      expect(result.css).toBe(input);
+      expect(result.messages.filter(m => m.type === 'removal')).toEqual([]);
+      expect(warnings.map(warning => warning.text)).toEqual([
+        'Duplicate declaration "color: red" is overridden by "color: blue"',
+        'Duplicate declaration "margin: 10px" is overridden by the !important declaration "margin: 0"',
+        'Empty rule ".empty"',
+      ]);
+      expect(warnings[0]).toMatchObject({
+        plugin: 'postcss-remove-duplicate-values',
+        reason: 'overridden',
+        line: 2,
+        column: 3,
+        endLine: 2,
+        endColumn: 8,
+      });
+      expect(warnings[1]).toMatchObject({ reason: 'important-wins', line: 5 });
+    });
+
+    test('should report the same declarations the fixer removes', async () => {
+      const input = `
+        .a {
+          width: 100px;
+          width: clamp(1px, 2px, 3px);
+          width: clamp(4px, 5px, 6px);
+          padding: 8px;
+          padding-left: 4px;
+          padding-left: 4px;
+        }
+      `;
+      const options = { preserveFallbacks: true, mergeLonghands: true };
+
+      const fixed = await processCSS(input, options);
+      const linted = await processCSS(input, { ...options, lint: true });
+
+      expect(linted.css).toBe(input);
+      expect(linted.warnings()).toHaveLength(fixed.messages.length);
+      expect(linted.warnings().map(warning => warning.reason)).toEqual(
+        fixed.messages.map(message => message.reason),
+      );
+      expect(linted.warnings()[2].text).toBe(
+        'Declaration "padding-left: 4px" can be merged into "padding: 8px 8px 8px 4px"',
+      );
+    });
+
+    test('should compare nested & blocks like the fixer with mergeNested', async () => {
+      const input = `.a {
+  color: red;
+  & { color: red; margin: 0; }
+  & {}
+  margin: 1px;
+}`;
+      const options = { mergeNested: true };
+
+      const fixed = await processCSS(input, options);
+      const linted = await processCSS(input, { ...options, lint: true });
+
+      expect(linted.css).toBe(input);
+      expect(
+        linted
+          .warnings()
+          .map(({ reason, node }) => [reason, node.prop, node.value]),
+      ).toEqual(
+        fixed.messages.map(({ reason, prop, value }) => [reason, prop, value]),
+      );
+      expect(linted.warnings()).toHaveLength(2);
+    });
+  });
+
+  describe('Comment-out mode', () => {
+    test('should turn removed declarations into comments', async () => {
+      const output = await getCSS(
+        `.a {
+  color: red;
+  color:green !important;
+  color: blue;
+  margin-top: 1px;
+  margin: 0;
+}`,
+        { commentOut: true, shorthands: true },
+      );
+
+      expect(output).toBe(`.a {
+  /* color: red; — overridden */
+  color:green !important;
+  /* color: blue; — overridden by !important */
+  /* margin-top: 1px; — overridden */
+  margin: 0;
+}`);
+    });
+
+    test('should describe repeated and merged declarations', async () => {
+      const output = await getCSS(
+        '.a { color: red; color: red; padding: 1px; padding-left: 2px; }',
+        { commentOut: true, mergeLonghands: true },
+      );
+
+      expect(output).toBe(
+        '.a { /* color: red; — repeated */ color: red; padding: 1px 1px 1px 2px; /* padding-left: 2px; — merged into padding */ }',
+      );
+    });
+
+    test('should escape comment ends in values', async () => {
+      const output = await getCSS(
+        '.a { background: url(a*/b.png); background: none; }',
+        { commentOut: true },
+      );
+
+      expect(output).toBe(
+        '.a { /* background: url(a*\\/b.png); — overridden */ background: none; }',
+      );
+    });
+
+    test('should not treat commented-out declarations as attached comments', async () => {
+      const output = await getCSS(
+        '.a {\n  color: red;\n  color: green;\n  color: blue;\n}',
+        { commentOut: true, comments: 'remove' },
+      );
+
+      expect(output).toBe(
+        '.a {\n  /* color: red; — overridden */\n  /* color: green; — overridden */\n  color: blue;\n}',
+      );
+    });
+
+    test('should not be combined with lint mode or annotations', () => {
+      expect(() => plugin({ commentOut: true, lint: true })).toThrow(
+        'The "commentOut" and "lint" options cannot be used together',
+      );
+      expect(() => plugin({ commentOut: true, comments: 'annotate' })).toThrow(
+        Error,
+      );
+    });
+  });
+
+  describe('Strict mode', () => {
+    const input =
+      '.a { color: red; color: blue; }\n.b { color: red; color: blue; }';
+    // Leaves a malformed value behind, as a broken upstream plugin could
+    const breakValue = {
+      postcssPlugin: 'break-value',
+      Once(root) {
+        root.walkRules('.a', rule => {
+          rule.last.value = {
+            trim: () => {
+              throw new Error('boom');
+            },
+            toString: () => 'blue',
+          };
+        });
+      },
+    };
+    const process = options =>
+      postcss([breakValue, plugin(options)]).process(input, {
+        from: '/styles/a.css',
+      });
+
+    test('should skip failing nodes silently by default', async () => {
+      const result = await process();
+
+      expect(result.root.last.toString()).toBe('.b { color: blue; }');
+      expect(result.root.first.nodes).toHaveLength(2);
+      expect(result.warnings()).toHaveLength(0);
+    });
+
+    test('should report skipped nodes as warnings', async () => {
+      const result = await process({ strict: 'warn' });
+
+      expect(result.root.last.toString()).toBe('.b { color: blue; }');
+      expect(result.warnings()).toEqual([
+        expect.objectContaining({
+          text: 'Skipped declaration "color: blue": boom',
+          line: 1,
+          column: 18,
+        }),
+      ]);
+    });
+
+    test('should throw a CssSyntaxError pointing at the node', async () => {
+      await expect(process({ strict: true })).rejects.toMatchObject({
+        name: 'CssSyntaxError',
+        plugin: 'postcss-remove-duplicate-values',
+        reason: 'Skipped declaration "color: blue": boom',
+        file: '/styles/a.css',
+        line: 1,
+        column: 18,
+      });
+    });
+
+    test('should report rule-level errors', async () => {
+      const breakSelector = {
+        postcssPlugin: 'break-selector',
+        Once(root) {
+          Object.defineProperty(root.first, 'selectors', {
+            get() {
+              throw new Error('broken selector');
+            },
+          });
+        },
+      };
+      const result = await postcss([
+        breakSelector,
+        plugin({ strict: 'warn' }),
+      ]).process(input, { from: undefined });
+
+      expect(result.warnings().map(warning => warning.text)).toEqual([
+        'Skipped rule ".a": broken selector',
+      ]);
+      expect(result.root.last.toString()).toBe('.b { color: blue; }');
+    });
+
+    test('should pass skipped nodes to onError', async () => {
+      const errors = [];
+      const result = await process({
+        onError: (error, node) =>
+          errors.push([error.message, String(node.value)]),
+      });
+
+      expect(errors).toEqual([['boom', 'blue']]);
+      expect(result.warnings()).toHaveLength(0);
+    });
+
+    test('should let errors of user callbacks through', async () => {
+      const error = new Error('bug');
+      const fail = () => {
+        throw error;
+      };
+      const css = '.a { color: red; color: blue; }';
+      const run = options =>
+        postcss([plugin({ strict: 'warn', ...options })]).process(css, {
+          from: undefined,
+        });
+
+      await expect(run({ onDuplicate: fail })).rejects.toBe(error);
+      await expect(run({ selector: fail })).rejects.toBe(error);
+      await expect(run({ properties: fail })).rejects.toBe(error);
+      await expect(run({ packs: [{ fallbacks: [fail] }] })).rejects.toBe(error);
+    });
+  });
+
+  describe('Duplicate budget', () => {
+    const input =
+      '.a {\n  color: red;\n  color: blue;\n}\n.b { margin: 0; margin: 0; }';
+    const process = options =>
+      postcss([plugin(options)]).process(input, { from: '/styles/a.css' });
+
+    test('should not fail by default', async () => {
+      const result = await process();
+
+      expect(result.css).not.toContain('color: red');
+    });
+
+    test('should allow duplicates within the budget', async () => {
+      const result = await process({ maxDuplicates: 2 });
+
+      expect(result.css).toBe('.a {\n  color: blue;\n}\n.b { margin: 0; }');
+    });
+
+    test('should list every duplicate once the budget is exceeded', async () => {
+      await expect(process({ maxDuplicates: 1 })).rejects.toThrow(
+        [
+          '[postcss-remove-duplicate-values] Found 2 duplicate declarations, 1 allowed:',
+          '  /styles/a.css:2:3 Duplicate declaration "color: red" is overridden by "color: blue"',
+          '  /styles/a.css:5:6 Duplicate declaration "margin: 0" is repeated by a later identical declaration',
+        ].join('\n'),
+      );
+    });
+
+    test('should fail on any duplicate with failOnDuplicates', async () => {
+      await expect(process({ failOnDuplicates: true })).rejects.toMatchObject({
+        duplicates: [
+          expect.objectContaining({ reason: 'overridden', prop: 'color' }),
+          expect.objectContaining({ reason: 'identical', prop: 'margin' }),
+        ],
+      });
+    });
+
+    test('should let maxDuplicates take precedence', async () => {
+      const result = await process({
+        failOnDuplicates: true,
+        maxDuplicates: 5,
+      });
+
+      expect(result.css).not.toContain('color: red');
+    });
+
+    test('should count duplicates in lint mode', async () => {
+      await expect(
+        process({ failOnDuplicates: true, lint: true }),
+      ).rejects.toThrow('Found 2 duplicate declarations, 0 allowed');
+    });
+
+    test('should not count merged longhands', async () => {
+      const result = await processCSS(
+        '.a { margin-top: 0; margin-right: 0; margin-bottom: 0; margin-left: 0; }',
+        { mergeLonghands: true, failOnDuplicates: true },
+      );
+
+      expect(result.css).toBe('.a { margin: 0; }');
+    });
+  });
+
+  describe('Statistics', () => {
+    const getStats = async (css, options) => {
+      const result = await processCSS(css, { ...options, stats: true });
+      return result.messages.find(message => message.type === 'stats');
+    };
+
+    test('should not add statistics by default', async () => {
+      const result = await processCSS('.a { color: red; color: blue; }');
+
+      expect(result.messages.some(m => m.type === 'stats')).toBe(false);
+    });
+
+    test('should count rules and removals by reason', async () => {
+      const stats = await getStats(
+        `
+          .button { color: red; color: red; margin: 0 !important; margin: 1px; }
+          .card { color: red; color: blue; }
+          .link { color: red; color: blue; }
+          .empty {}
+        `,
+        { selector: /\.(button|card|empty)/ },
+      );
+
+      expect(stats).toMatchObject({
+        type: 'stats',
+        plugin: 'postcss-remove-duplicate-values',
+        rulesVisited: 3,
+        rulesSkipped: 1,
+        emptyRulesRemoved: 1,
+        declarationsRemoved: {
+          total: 3,
+          overridden: 1,
+          identical: 1,
+          'important-wins': 1,
+          merged: 0,
+        },
+      });
+    });
+
+    test('should count at-rules like rules', async () => {
+      const stats = await getStats(
+        `
+          @font-face { font-display: swap; font-display: block; }
+          @page { margin: 0; }
+          .a { @media print { color: red; color: blue; } }
+          @media print { .b {} }
+        `,
+        { exclude: '@page' },
+      );
+
+      expect(stats).toMatchObject({
+        rulesVisited: 4,
+        rulesSkipped: 1,
+        emptyRulesRemoved: 1,
+        emptyAtRulesRemoved: 1,
+      });
+    });
+
+    test('should report raw and gzip byte savings', async () => {
+      const input = '.a { color: red; color: blue; }';
+      const result = await processCSS(input, { stats: true });
+      const stats = result.messages.find(m => m.type === 'stats');
+
+      expect(stats.bytes).toEqual({
+        before: input.length,
+        after: result.css.length,
+        saved: input.length - result.css.length,
+      });
+      expect(stats.gzipBytes.saved).toBe(
+        stats.gzipBytes.before - stats.gzipBytes.after,
+      );
+    });
+
+    test('should count what would be removed in lint mode', async () => {
+      const stats = await getStats('.a { color: red; color: blue; }', {
+        lint: true,
+      });
+
+      expect(stats.declarationsRemoved.total).toBe(1);
+      expect(stats.bytes.saved).toBe(0);
+    });
+  });
+
+  describe('Conflict strategy', () => {
+    const input =
+      '.a { color: red; margin: 0; color: green; padding: 0; color: blue; }';
+
+    test('should keep the first declaration', async () => {
+      expect(await getCSS(input, { strategy: 'first' })).toBe(
+        '.a { color: red; margin: 0; padding: 0; }',
+      );
+    });
+
+    test('should keep fallbacks and important declarations with the first strategy', async () => {
+      const fallbacks = await getCSS(
+        '.a { display: -webkit-box; display: flex; display: grid; }',
+        { strategy: 'first' },
+      );
+      const important = await getCSS(
+        '.a { color: red; color: blue !important; color: green; }',
+        { strategy: 'first' },
+      );
+
+      expect(fallbacks).toBe('.a { display: -webkit-box; display: flex; }');
+      expect(important).toBe('.a { color: blue !important; }');
+    });
+
+    test('should move the last declaration to the first position', async () => {
+      const result = await processCSS(input, { strategy: 'first-position' });
+
+      expect(result.css).toBe('.a { color: blue; margin: 0; padding: 0; }');
+      expect(result.messages.map(message => message.value)).toEqual([
+        'red',
+        'green',
+      ]);
+    });
+
+    test('should move the comments of a moved declaration with it', async () => {
+      const commented = `.a {
+  /* red note */
+  color: red;
+  margin: 0;
+  /* blue note */
+  color: blue; /* blue trailing */
+}`;
+      const options = { strategy: 'first-position' };
+
+      expect(await getCSS(commented, options)).toBe(`.a {
+  /* red note */
+  /* blue note */
+  color: blue; /* blue trailing */
+  margin: 0;
+}`);
+      expect(await getCSS(commented, { ...options, comments: 'remove' }))
+        .toBe(`.a {
+  /* blue note */
+  color: blue; /* blue trailing */
+  margin: 0;
+}`);
+      expect(await getCSS(commented, { ...options, comments: 'annotate' }))
+        .toBe(`.a {
+  /* removed duplicate: color: red (red note) */
+  /* blue note */
+  color: blue; /* blue trailing */
+  margin: 0;
+}`);
+    });
+
+    test('should move comments of a one-line rule with the declaration', async () => {
+      const output = await getCSS(
+        '.a { /* red note */ color: red; margin: 0; /* blue note */ color: blue; }',
+        { strategy: 'first-position', comments: 'remove' },
+      );
+
+      expect(output).toBe('.a { /* blue note */ color: blue; margin: 0; }');
+    });
+
+    test('should not move declarations past related declarations', async () => {
+      const shorthand = await getCSS(
+        '.a { margin-top: 1px; margin: 0; margin-top: 2px; }',
+        { strategy: 'first-position' },
+      );
+      const prefixed = await getCSS(
+        '.a { transition: none; -webkit-transition: none; transition: all 1s; }',
+        { strategy: 'first-position' },
+      );
+      const nested = await getCSS(
+        '.a { color: red; & .b { color: green; } color: blue; }',
+        { strategy: 'first-position' },
+      );
+
+      expect(shorthand).toBe('.a { margin: 0; margin-top: 2px; }');
+      expect(prefixed).toBe(
+        '.a { -webkit-transition: none; transition: all 1s; }',
+      );
+      expect(nested).toBe('.a { & .b { color: green; } color: blue; }');
+    });
+
+    test('should let the strategy alone decide when ignoring !important', async () => {
+      const last = await getCSS('.a { color: red !important; color: blue; }', {
+        important: 'ignore',
+      });
+      const first = await getCSS('.a { color: red; color: blue !important; }', {
+        strategy: 'first',
+        important: 'ignore',
+      });
+
+      expect(last).toBe('.a { color: blue; }');
+      expect(first).toBe('.a { color: red; }');
+    });
+
+    test('should never remove !important declarations when preserving them', async () => {
+      const output = await getCSS(
+        '.a { color: red !important; color: blue !important; color: green; margin: 0 !important; margin: 1px !important; }',
+        { important: 'preserve', strategy: 'first' },
+      );
+
+      expect(output).toBe(
+        '.a { color: red !important; color: blue !important; margin: 0 !important; margin: 1px !important; }',
+      );
+    });
+  });
+
+  describe('onDuplicate hook', () => {
+    test('should describe each duplicate before removing it', async () => {
+      const duplicates = [];
+      await getCSS(
+        '.a { color: red; color: red; margin: 0 !important; margin: 1px; }',
+        {
+          onDuplicate: duplicate => {
+            duplicates.push({
+              rule: duplicate.rule.selector,
+              kept: duplicate.kept.value,
+              candidate: duplicate.candidate.value,
+              reason: duplicate.reason,
+              decision: duplicate.decision,
+            });
+          },
+        },
+      );
+
+      expect(duplicates).toEqual([
+        {
+          rule: '.a',
+          kept: 'red',
+          candidate: 'red',
+          reason: 'identical',
+          decision: 'keep-candidate',
+        },
+        {
+          rule: '.a',
+          kept: '0',
+          candidate: '1px',
+          reason: 'important-wins',
+          decision: 'keep-existing',
+        },
+      ]);
+    });
+
+    test('should follow the decision of the hook', async () => {
+      const input =
+        '.a { color: red; color: blue; margin: 0 !important; margin: 1px; display: block; display: flex; }';
+      const decisions = {
+        color: 'keep-existing',
+        margin: 'keep-candidate',
+        display: 'keep-both',
+      };
+
+      const output = await getCSS(input, {
+        onDuplicate: ({ kept }) => decisions[kept.prop],
+      });
+
+      expect(output).toBe(
+        '.a { color: red; margin: 1px; display: block; display: flex; }',
+      );
+    });
+
+    test('should keep earlier declarations when keeping the existing one', async () => {
+      const output = await getCSS(
+        '.a { display: -webkit-box; display: flex; display: grid; }',
+        { onDuplicate: () => 'keep-existing' },
+      );
+
+      expect(output).toBe('.a { display: -webkit-box; display: flex; }');
+    });
+
+    test('should keep both after an !important declaration', async () => {
+      const output = await getCSS(
+        '.a { color: red !important; color: blue; color: green; }',
+        {
+          onDuplicate: ({ candidate }) =>
+            candidate.value === 'blue' ? 'keep-both' : undefined,
+        },
+      );
+
+      expect(output).toBe('.a { color: red !important; color: blue; }');
+    });
+
+    test('should be asked about longhands overridden by shorthands', async () => {
+      const output = await getCSS('.a { margin-top: 1px; margin: 0; }', {
+        shorthands: true,
+        onDuplicate: () => 'keep-existing',
+      });
+
+      expect(output).toBe('.a { margin-top: 1px; margin: 0; }');
+    });
+
+    test('should let the hook override the first strategy', async () => {
+      const output = await getCSS('.a { color: red; color: blue; }', {
+        strategy: 'first',
+        onDuplicate: () => 'keep-candidate',
+      });
+
+      expect(output).toBe('.a { color: blue; }');
+    });
+  });
+
+  describe('Property knowledge packs', () => {
+    const pack = {
+      name: 'test-pack',
+      shorthands: { 'stack-gap': ['row-gap', 'column-gap'] },
+      aliases: { '-x-color': 'color' },
+      multiValue: ['composes'],
+      fallbacks: [(fallbackValue, value) => value.startsWith('theme(')],
+    };
+
+    test('should apply the knowledge of a pack', async () => {
+      const output = await getCSS(
+        `.a {
+  row-gap: 1px;
+  stack-gap: 2px;
+  color: red;
+  -x-color: blue;
+  composes: a;
+  composes: b;
+  width: 1px;
+  width: theme(spacing.4);
+}`,
+        { shorthands: true, packs: [pack] },
+      );
+
+      expect(output).toBe(`.a {
+  stack-gap: 2px;
+  -x-color: blue;
+  composes: a;
+  composes: b;
+  width: 1px;
+  width: theme(spacing.4);
+}`);
+    });
+
+    test('should apply registered packs to later instances', async () => {
+      const input = '.a { composes: a; composes: b; }';
+      const unregister = plugin.register(pack);
+
+      try {
+        expect(await getCSS(input)).toBe(input);
+      } finally {
+        unregister();
+      }
+      expect(await getCSS(input)).toBe('.a { composes: b; }');
+    });
+
+    test('should reject malformed packs', () => {
+      expect(() => plugin.register(null)).toThrow(TypeError);
+      expect(() =>
+        plugin({ packs: [{ name: 'bad', multiValue: 'x' }] }),
+      ).toThrow('Pack "bad": "multiValue" must be an array');
+    });
+  });
+
+  describe('Property aliases', () => {
+    test('should keep a legacy alias as a fallback by default', async () => {
+      const output = await getCSS(
+        '.a { word-wrap: break-word; overflow-wrap: normal; overflow-wrap: anywhere; }',
+      );
+
+      expect(output).toBe(
+        '.a { word-wrap: break-word; overflow-wrap: anywhere; }',
+      );
+    });
+
+    test('should remove a legacy alias with aliases: remove', async () => {
+      const output = await getCSS(
+        '.a { grid-gap: 1px; gap: 2px; grid-column-gap: 1px; column-gap: 3px; }',
+        { aliases: 'remove' },
+      );
+
+      expect(output).toBe('.a { gap: 2px; column-gap: 3px; }');
+    });
+
+    test('should remove a standard name followed by its alias', async () => {
+      const output = await getCSS('.a { row-gap: 2px; grid-row-gap: 1px; }');
+
+      expect(output).toBe('.a { grid-row-gap: 1px; }');
+    });
+
+    test.each([
+      '.a { -webkit-box-pack: justify; justify-content: space-between; }',
+      '.a { align-items: center; -webkit-box-align: center; }',
+      '.a { flex-grow: 1; -webkit-box-flex: 1; }',
+      '.a { order: 0; -webkit-box-ordinal-group: 1; }',
+    ])('should keep 2009 flexbox properties in %s', async input => {
+      expect(await getCSS(input)).toBe(input);
+      expect(await getCSS(input, { aliases: 'remove' })).toBe(input);
+      expect(await getCSS(input, { shorthands: true })).toBe(input);
+    });
+
+    test('should report the alias pairs found', async () => {
+      const result = await postcss([plugin()]).process(
+        '.a {\n  word-wrap: break-word;\n  overflow-wrap: anywhere;\n}',
+        { from: '/styles/a.css' },
+      );
+
+      expect(result.messages.filter(m => m.type === 'alias')).toEqual([
+        {
+          type: 'alias',
+          plugin: 'postcss-remove-duplicate-values',
+          selector: '.a',
+          property: 'overflow-wrap',
+          prop: 'word-wrap',
+          laterProp: 'overflow-wrap',
+          file: '/styles/a.css',
+          line: 2,
+          column: 3,
+        },
+      ]);
+    });
+  });
+
+  describe('Property filters', () => {
+    const input = `.a {
+  color: red;
+  color: blue;
+  --space: 1px;
+  --space: 2px;
+  composes: a;
+  composes: b;
+}`;
+
+    test('should only process the listed properties', async () => {
+      const output = await getCSS(input, { properties: ['color', /^--/] });
+
+      expect(output).not.toContain('color: red');
+      expect(output).not.toContain('--space: 1px');
+      expect(output).toContain('composes: a');
+    });
+
+    test('should never process ignored properties', async () => {
+      const output = await getCSS(input, {
+        ignoreProperties: ['composes', property => property.startsWith('--')],
+      });
+
+      expect(output).not.toContain('color: red');
+      expect(output).toContain('--space: 1px');
+      expect(output).toContain('composes: a');
+    });
+
+    test('should let ignoreProperties win over properties', async () => {
+      const output = await getCSS(input, {
+        properties: /./,
+        ignoreProperties: 'color',
+      });
+
+      expect(output).toContain('color: red');
+      expect(output).not.toContain('composes: a');
+    });
+
+    test('should not compare excluded declarations with others', async () => {
+      const output = await getCSS(
+        '.a { margin-top: 1px; margin: 0; margin-top: 2px !important; margin-top: 3px; }',
+        { shorthands: true, properties: ['margin-top'] },
+      );
+      const excluded = await getCSS('.a { margin-top: 1px; margin: 0; }', {
+        shorthands: true,
+        properties: ['margin-top'],
+      });
+
+      expect(output).toBe('.a { margin: 0; margin-top: 2px !important; }');
+      expect(excluded).toBe('.a { margin-top: 1px; margin: 0; }');
+    });
+
+    test('should not merge excluded longhands', async () => {
+      const input =
+        '.a { margin-top: 1px; margin-right: 2px; margin-bottom: 1px; margin-left: 2px; }';
+
+      expect(
+        await getCSS(input, {
+          mergeLonghands: true,
+          ignoreProperties: 'margin-left',
+        }),
+      ).toBe(input);
+      expect(
+        await getCSS(input, {
+          mergeLonghands: true,
+          ignoreProperties: 'margin',
+        }),
+      ).toBe(input);
+    });
+  });
+
+  describe('Formatting', () => {
+    test('should keep blank lines and indentation around removals', async () => {
+      const output = await getCSS(`.a {
+  color: red;
+
+  margin: 0;
+  padding: 0;
+
+  color: blue;
+  padding: 1px;
+}`);
+
+      expect(output).toBe(`.a {
+  margin: 0;
+
+  color: blue;
+  padding: 1px;
+}`);
+    });
+
+    test('should keep the trailing semicolon convention', async () => {
+      const withoutSemicolon = await getCSS(
+        '.a {\n  color: red;\n  margin: 0;\n  color: blue\n}',
+        { strategy: 'first' },
+      );
+      const withSemicolon = await getCSS('.a { color: red; color: blue; }');
+
+      expect(withoutSemicolon).toBe('.a {\n  color: red;\n  margin: 0\n}');
+      expect(withSemicolon).toBe('.a { color: blue; }');
+    });
+
+    test('should keep the spacing between rules', async () => {
+      const output = await getCSS('.a { color: red }\n\n.empty {}\n\n.b {}');
+
+      expect(output).toBe('.a { color: red }');
+    });
+
+    test('should keep the formatting of moved declarations', async () => {
+      const output = await getCSS(
+        `.a {
+  color: red;
+  margin: 0;
+
+  color: blue;
+}`,
+        { strategy: 'first-position' },
+      );
+
+      expect(output).toBe(`.a {
+  color: blue;
+  margin: 0;
+}`);
+    });
+  });
+
+  describe('Comments of removed declarations', () => {
+    const input = `.a {
+  /* IE fallback */
+  color: red; /* old */
+  margin: 0;
+  color: blue;
+}`;
+
+    test('should keep comments in place by default', async () => {
+      const output = await getCSS(input);
+
+      expect(output).toBe(`.a {
+  /* IE fallback */
+  /* old */
+  margin: 0;
+  color: blue;
+}`);
+    });
+
+    test('should remove the comments of a removed declaration', async () => {
+      const output = await getCSS(input, { comments: 'remove' });
+
+      expect(output).toBe(`.a {
+  margin: 0;
+  color: blue;
+}`);
+    });
+
+    test('should move the comments next to the kept declaration', async () => {
+      const output = await getCSS(input, { comments: 'move' });
+
+      expect(output).toBe(`.a {
+  margin: 0;
+  /* IE fallback */
+  /* old */
+  color: blue;
+}`);
+    });
+
+    test('should not treat the comment of a neighbour as attached', async () => {
+      const output = await getCSS(
+        `.a {
+  margin: 0; /* spacing */
+  color: red;
+  color: blue;
+}`,
+        { comments: 'remove' },
+      );
+
+      expect(output).toContain('/* spacing */');
+    });
+
+    test('should annotate removed declarations', async () => {
+      const output = await getCSS(
+        `${input}\n.b { margin-top: 1px; margin-right: 2px; margin-bottom: 1px; margin-left: 2px; }`,
+        { comments: 'annotate', mergeLonghands: true },
+      );
+
+      expect(output).toContain(`.a {
+  /* removed duplicate: color: red (IE fallback; old) */
+  margin: 0;`);
+      expect(output).toContain('/* merged into margin: margin-left: 2px */');
+      expect(output).toContain('margin: 1px 2px;');
+    });
+  });
+
+  describe('Inline directives', () => {
+    test('should leave a block holding an ignore comment', async () => {
+      const input = `.a {
+  /* remove-duplicate-values-ignore */
+  color: red;
+  color: blue;
+}
+.b { color: red; color: blue; }`;
+
+      const result = await processCSS(input, { stats: true });
+      const stats = result.messages.find(m => m.type === 'stats');
+
+      expect(result.css).toContain('  color: red;\n  color: blue;');
+      expect(result.css).toContain('.b { color: blue; }');
+      expect(stats).toMatchObject({ rulesVisited: 1, rulesIgnored: 1 });
+    });
+
+    test('should keep the declaration after disable-next-line', async () => {
+      const output = await getCSS(`.a {
+  color: green;
+  /* remove-duplicate-values-disable-next-line */
+  color: red;
+  color: blue;
+}`);
+
+      expect(output).toBe(`.a {
+  /* remove-duplicate-values-disable-next-line */
+  color: red;
+  color: blue;
+}`);
+    });
+
+    test('should not compare disabled declarations with others', async () => {
+      const output = await getCSS(`.a {
+  color: red;
+  /* remove-duplicate-values-disable-next-line */
+  color: blue !important;
+  color: green;
+}`);
+
+      expect(output).not.toContain('color: red');
+      expect(output).toContain('color: blue !important');
+      expect(output).toContain('color: green');
+    });
+
+    test('should leave everything between disable and enable', async () => {
+      const output = await getCSS(`
+/* remove-duplicate-values-disable -- deliberate overrides */
+.a { width: 100px; width: 100%; }
+.b {
+  margin: 0;
+  /* remove-duplicate-values-enable */
+  margin: 1px;
+  color: red;
+  color: blue;
+}
+.c { width: 100px; width: 100%; }
+.empty {}`);
+
+      expect(output).toContain('.a { width: 100px; width: 100%; }');
+      expect(output).toContain('margin: 0;');
+      expect(output).not.toContain('color: red');
+      expect(output).toContain('.c { width: 100%; }');
+      expect(output).not.toContain('.empty');
+    });
+
+    test('should keep directive comments with the comments option', async () => {
+      const output = await getCSS(
+        `.a {
+  color: red;
+  /* remove-duplicate-values-disable */
+  width: 1px;
+  width: 2px;
+}`,
+        { comments: 'remove' },
+      );
+
+      expect(output).toContain('/* remove-duplicate-values-disable */');
+      expect(output).toContain('width: 1px');
+    });
+
+    test('should not report excluded declarations in lint mode', async () => {
+      const result = await processCSS(
+        '.a { /* remove-duplicate-values-ignore */ color: red; color: blue; }',
+        { lint: true },
+      );
+
+      expect(result.warnings()).toHaveLength(0);
+    });
+  });
+
+  describe('Selector filtering', () => {
+    const nested = '.btn { @media print { color: red; color: blue; } }';
+
+    test('should process at-rules nested in a selected rule', async () => {
+      const output = await getCSS(nested, { selector: '.btn' });
+
+      expect(output).toBe('.btn { @media print { color: blue; } }');
+    });
+
+    test('should skip at-rules nested in an excluded rule', async () => {
+      const result = await processCSS(nested, { exclude: '.btn', stats: true });
+
+      expect(result.css).toBe(nested);
+      expect(
+        result.messages.find(message => message.type === 'stats'),
+      ).toMatchObject({ rulesVisited: 0, rulesSkipped: 2 });
+    });
+
+    test('should skip at-rules nested in a rule that is not selected', async () => {
+      const output = await getCSS(nested, { selector: '.card' });
+
+      expect(output).toBe(nested);
+    });
+
+    test('should process only specified string selector', async () => {
+      const input = `
+        .container {
+          color: red;
+          color: blue;
+        }
+        .button {
+          color: green;
+          color: yellow;
+        }
+      `;
+
+      const output = await getCSS(input, { selector: '.container' });
+
+      expect(output).toContain('color: blue');
+      expect(output).not.toContain('color: red');
+      expect(output).toContain('color: green');
+      expect(output).toContain('color: yellow');
+    });
+
+    test('should process only regex matching selectors', async () => {
+      const input = `
+        .btn-primary {
+          color: red;
+          color: blue;
+        }
+        .btn-secondary {
+          color: green;
+          color: yellow;
+        }
+        .card {
+          margin: 10px;
+        }
+      `;
+
+      const output = await getCSS(input, { selector: /\.btn-/ });
+
+      expect(output).toContain('color: blue');
+      expect(output).toContain('color: yellow');
+      expect(output).not.toContain('color: red');
+      expect(output).not.toContain('color: green');
+      expect(output).toContain('margin: 10px');
+    });
+
+    test('should process only function matching selectors', async () => {
+      const input = `
+        .button {
+          color: red;
+          color: blue;
+        }
+        .card {
+          margin: 10px;
+          margin: 20px;
+        }
+      `;
+
+      const output = await getCSS(input, {
+        selector: selector => selector.includes('button'),
+      });
+
+      expect(output).toContain('color: blue');
+      expect(output).not.toContain('color: red');
+      expect(output).toContain('margin: 10px');
+      expect(output).toContain('margin: 20px');
+    });
+
+    test('should match whole simple selectors', async () => {
+      const input = `
+        .btn { color: red; color: blue; }
+        .btn-group { color: red; color: green; }
+        .not-a-btn { color: red; color: yellow; }
+        button:hover { margin: 0; margin: 1px; }
+        [data-state="open"] { padding: 0; padding: 1px; }
+      `;
+
+      const byClass = await getCSS(input, { selector: '.btn' });
+      const byType = await getCSS(input, { selector: 'button' });
+      const byAttribute = await getCSS(input, { selector: '[data-state]' });
+
+      expect(byClass).toContain('.btn { color: blue; }');
+      expect(byClass).toContain('.btn-group { color: red; color: green; }');
+      expect(byClass).toContain('.not-a-btn { color: red; color: yellow; }');
+      expect(byType).toContain('button:hover { margin: 1px; }');
+      expect(byType).toContain('.btn { color: red; color: blue; }');
+      expect(byAttribute).toContain('[data-state="open"] { padding: 1px; }');
+    });
+
+    test('should test each selector of a list', async () => {
+      const input = '.card, .btn { color: red; color: blue; }';
+      const selectors = [];
+
+      const output = await getCSS(input, {
+        selector: selector => {
+          selectors.push(selector);
+          return /^\.btn$/.test(selector);
+        },
+      });
+
+      expect(selectors).toEqual(['.card', '.btn']);
+      expect(output).toBe('.card, .btn { color: blue; }');
+    });
+
+    test('should combine selector arrays with any or all', async () => {
+      const input = `
+        .button.primary { color: red; color: blue; }
+        .button { color: red; color: green; }
+        .card { color: red; color: yellow; }
+      `;
+
+      const any = await getCSS(input, { selector: ['.primary', /card/] });
+      const all = await getCSS(input, {
+        selector: ['.button', '.primary'],
+        selectorMatch: 'all',
+      });
+
+      expect(any).toContain('.button.primary { color: blue; }');
+      expect(any).toContain('.button { color: red; color: green; }');
+      expect(any).toContain('.card { color: yellow; }');
+      expect(all).toContain('.button.primary { color: blue; }');
+      expect(all).toContain('.button { color: red; color: green; }');
+      expect(all).toContain('.card { color: red; color: yellow; }');
+    });
+
+    test('should skip excluded selectors', async () => {
+      const input = `
+        .button { color: red; color: blue; }
+        .legacy, .button { color: red; color: green; }
+        .card { color: red; color: yellow; }
+        @font-face { font-display: swap; font-display: block; }
+      `;
+
+      const result = await processCSS(input, {
+        selector: '.button',
+        exclude: ['.legacy', '@font-face'],
+        stats: true,
+      });
+
+      expect(result.css).toContain('.button { color: blue; }');
+      expect(result.css).toContain(
+        '.legacy, .button { color: red; color: green; }',
+      );
+      expect(result.css).toContain('.card { color: red; color: yellow; }');
+      expect(result.css).toContain('font-display: swap; font-display: block;');
+      // `.legacy, .button`, `.card` and the excluded `@font-face`
+      expect(result.messages.find(m => m.type === 'stats').rulesSkipped).toBe(
+        3,
+      );
+    });
+
+    test('should only process blocks in matching at-rules', async () => {
+      const input = `
+        .a { color: red; color: blue; }
+        @media print {
+          .b { color: red; color: blue; }
+          @page { margin: 0; margin: 1cm; }
+        }
+        @media screen { .c { color: red; color: blue; } }
+      `;
+
+      const output = await getCSS(input, { atRule: '@media print' });
+
+      expect(output).toContain('.a { color: red; color: blue; }');
+      expect(output).toContain('.b { color: blue; }');
+      expect(output).toContain('@page { margin: 1cm; }');
+      expect(output).toContain('.c { color: red; color: blue; }');
+    });
+
+    test('should skip blocks in excluded at-rules', async () => {
+      const input = `
+        .a { color: red; color: blue; }
+        @supports (display: grid) {
+          @layer base { .b { color: red; color: blue; } }
+        }
+        @media print { .c { color: red; color: blue; } }
+      `;
+
+      const withoutSupports = await getCSS(input, {
+        excludeAtRule: '@supports',
+      });
+      const baseOnly = await getCSS(input, { excludeAtRule: /^@/ });
+      const contexts = [];
+      await getCSS(input, {
+        atRule: context => {
+          contexts.push(context);
+          return false;
+        },
+      });
+
+      expect(withoutSupports).toContain('.a { color: blue; }');
+      expect(withoutSupports).toContain('.b { color: red; color: blue; }');
+      expect(withoutSupports).toContain('.c { color: blue; }');
+      expect(baseOnly).toContain('.a { color: blue; }');
+      expect(baseOnly).toContain('.b { color: red; color: blue; }');
+      expect(baseOnly).toContain('.c { color: red; color: blue; }');
+      expect(contexts).toEqual([
+        '@supports (display: grid)',
+        '@layer base',
+        '@media print',
+      ]);
+    });
+
+    test('should process all selectors when no selector option is provided', async () => {
+      const input = `
+        .button {
+          color: red;
+          color: blue;
+        }
+        .card {
+          margin: 10px;
+          margin: 20px;
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('color: blue');
+      expect(output).toContain('margin: 20px');
+      expect(output).not.toContain('color: red');
+      expect(output).not.toContain('margin: 10px');
+    });
+  });
+
+  describe('Empty rule handling', () => {
+    test('should remove empty rules by default', async () => {
+      const input = `
+        .empty-rule {
+        }
+        .non-empty-rule {
+          color: blue;
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).not.toContain('.empty-rule');
+      expect(output).toContain('.non-empty-rule');
+      expect(output).toContain('color: blue');
+    });
+
+    test('should preserve empty rules when preserveEmpty is true', async () => {
+      const input = `
+        .empty-rule {
+        }
+        .non-empty-rule {
+          color: blue;
+        }
+      `;
+
+      const output = await getCSS(input, { preserveEmpty: true });
+
+      expect(output).toContain('.empty-rule');
+      expect(output).toContain('.non-empty-rule');
+      expect(output).toContain('color: blue');
+    });
+
+    test('should handle rules with only comments as empty', async () => {
+      const input = `
+        .comment-only {
+          /* This is a comment */
+        }
+        .with-property {
+          color: blue;
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).not.toContain('.comment-only');
+      expect(output).toContain('.with-property');
+      expect(output).toContain('color: blue');
+    });
+
+    test('should preserve rules with only comments when preserveEmpty is true', async () => {
+      const input = `
+        .comment-only {
+          /* This is a comment */
+        }
+        .with-property {
+          color: blue;
+        }
+      `;
+
+      const output = await getCSS(input, { preserveEmpty: true });
+
+      expect(output).toContain('.comment-only');
+      expect(output).toContain('.with-property');
+      expect(output).toContain('color: blue');
+    });
+
+    test('should keep rules with important comments', async () => {
+      const output = await getCSS(
+        '.license { /*! MIT */ } .plain { /* note */ }',
+      );
+
+      expect(output).toBe('.license { /*! MIT */ }');
+    });
+
+    test('should remove blocks left empty by a removal', async () => {
+      const result = await processCSS(`
+@media print { .a {} }
+@supports (display: grid) { @media screen { .b {} } }
+.outer { .inner {} }
+@media screen {}
+@media print { .a {} .c { color: red; } }`);
+
+      expect(result.css.trim()).toBe(`@media screen {}
+@media print { .c { color: red; } }`);
+      expect(result.messages.map(message => message.selector)).toEqual([
+        '.a',
+        '@media print',
+        '.b',
+        '@media screen',
+        '@supports (display: grid)',
+        '.inner',
+        '.outer',
+        '.a',
+      ]);
+    });
+
+    test('should keep named layers in the layer order', async () => {
+      const output = await getCSS(
+        '@layer base { .a {} } @layer { .b {} } @layer theme { .c { color: red; } }',
+      );
+
+      expect(output).toBe('@layer base; @layer theme { .c { color: red; } }');
+    });
+
+    test('should configure empty-block cleanup per node type', async () => {
+      const input = '@supports (display: grid) { @media print { .a {} } }';
+
+      expect(
+        await getCSS(input, { preserveEmpty: { atRules: ['supports'] } }),
+      ).toBe('@supports (display: grid) { }');
+      expect(await getCSS(input, { preserveEmpty: { atRules: true } })).toBe(
+        '@supports (display: grid) { @media print { } }',
+      );
+      expect(await getCSS(input, { preserveEmpty: { rules: true } })).toBe(
+        input,
+      );
+    });
+
+    test('should report blocks left empty in lint mode', async () => {
+      const result = await processCSS('@media print { .a {} }', { lint: true });
+
+      expect(result.warnings().map(warning => warning.text)).toEqual([
+        'Empty rule ".a"',
+        'Empty rule "@media print"',
+      ]);
     });
   });
 
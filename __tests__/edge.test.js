@@ -78,6 +78,217 @@ describe('Edge Cases and Complex Scenarios', () => {
     });
   });
 
+  describe('Declaration-bearing at-rules', () => {
+    test('should deduplicate @font-face descriptors', async () => {
+      const input = `
+        @font-face {
+          font-family: "Inter";
+          font-display: swap;
+          src: url(inter.eot);
+          src: url(inter.woff2) format("woff2"), -webkit-url(inter.woff);
+          font-display: optional;
+        }
+      `;
+
+      const output = await getCSS(input, { preserveFallbacks: true });
+
+      expect(output).toContain('font-display: optional');
+      expect(output).not.toContain('font-display: swap');
+      expect(output).toContain('src: url(inter.woff2)');
+      expect(output).not.toContain('src: url(inter.eot)');
+      expect(output).toContain('font-family: "Inter"');
+    });
+
+    test('should deduplicate @property and @counter-style descriptors', async () => {
+      const input = `
+        @property --angle {
+          syntax: "<length>";
+          syntax: "<angle>";
+          inherits: false;
+          initial-value: 0px;
+          initial-value: 0deg;
+        }
+        @counter-style thumbs {
+          system: cyclic;
+          symbols: "👍";
+          system: fixed;
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('syntax: "<angle>"');
+      expect(output).not.toContain('syntax: "<length>"');
+      expect(output).toContain('initial-value: 0deg');
+      expect(output).not.toContain('initial-value: 0px');
+      expect(output).toContain('system: fixed');
+      expect(output).not.toContain('system: cyclic');
+    });
+
+    test('should deduplicate @page and margin box declarations', async () => {
+      const input = `
+        @page :first {
+          margin: 1in;
+          margin: 2in;
+          @top-center {
+            content: "Draft";
+            content: "Final";
+          }
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('margin: 2in');
+      expect(output).not.toContain('margin: 1in');
+      expect(output).toContain('content: "Final"');
+      expect(output).not.toContain('content: "Draft"');
+    });
+
+    test('should deduplicate declarations of at-rules nested in rules', async () => {
+      const input = `
+        .a {
+          color: red;
+          @media (min-width: 600px) {
+            color: blue;
+            color: green;
+          }
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('color: red');
+      expect(output).toContain('color: green');
+      expect(output).not.toContain('color: blue');
+    });
+
+    test('should apply selector filtering to at-rule preludes', async () => {
+      const input = `
+        @font-face {
+          font-display: swap;
+          font-display: optional;
+        }
+        @page {
+          margin: 1in;
+          margin: 2in;
+        }
+      `;
+
+      const output = await getCSS(input, { selector: '@font-face' });
+
+      expect(output).not.toContain('font-display: swap');
+      expect(output).toContain('margin: 1in');
+      expect(output).toContain('margin: 2in');
+    });
+  });
+
+  describe('Native CSS nesting', () => {
+    test('should not deduplicate parent declarations against nested rules', async () => {
+      const input = `
+        .a {
+          color: red;
+          &:hover {
+            color: blue;
+          }
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('color: red');
+      expect(output).toContain('color: blue');
+    });
+
+    test('should deduplicate each nested level on its own', async () => {
+      const input = `
+        .a {
+          color: red;
+          color: green;
+          & .b {
+            color: blue;
+            color: pink;
+          }
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('color: green');
+      expect(output).toContain('color: pink');
+      expect(output).not.toContain('color: red');
+      expect(output).not.toContain('color: blue');
+    });
+
+    test('should keep & blocks by default', async () => {
+      const input = `
+        .a {
+          color: red;
+          & {
+            color: blue;
+          }
+        }
+      `;
+
+      const output = await getCSS(input);
+
+      expect(output).toContain('color: red');
+      expect(output).toContain('& {');
+    });
+
+    test('should merge & blocks into the parent when mergeNested is true', async () => {
+      const input = `
+        .a {
+          color: red;
+          & {
+            color: blue;
+            margin: 0;
+          }
+          &:hover {
+            color: green;
+          }
+        }
+      `;
+
+      const output = await getCSS(input, { mergeNested: true });
+
+      expect(output).not.toContain('& {');
+      expect(output).not.toContain('color: red');
+      expect(output).toMatch(/\.a \{\s*color: blue;\s*margin: 0;\s*&:hover/);
+      expect(output).toContain('color: green');
+    });
+
+    test('should not merge & blocks when it would change matching', async () => {
+      const input = `
+        .a, #b {
+          color: red;
+          & {
+            color: blue;
+          }
+        }
+        .c::before {
+          color: red;
+          & {
+            color: blue;
+          }
+        }
+        .d {
+          & {
+            color: blue;
+            & .e {
+              color: red;
+            }
+          }
+        }
+      `;
+
+      const output = await getCSS(input, { mergeNested: true });
+
+      expect(output.match(/& \{/g)).toHaveLength(3);
+      expect(output.match(/color: red/g)).toHaveLength(3);
+    });
+  });
+
   describe('CSS values with special characters', () => {
     test('should handle URLs with quotes', async () => {
       const input = `
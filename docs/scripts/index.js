@@ -167,6 +167,7 @@ async function processCSS() {
     const options = {
       selector: DOM.selectorInput?.value.trim() || '',
       preserveEmpty: DOM.preserveEmptyToggle?.checked || false,
+      stats: true,
     };
 
     const result = await window.runPostCSS(inputText, options);
@@ -234,15 +235,6 @@ function matchSelector(selectorText, filter) {
   });
 }
 
-/**
- * Count declarations in a CSS string
- * @param {string} css - CSS string
- * @returns {number} Declaration count
- */
-function countDeclarations(css) {
-  return css.split(CONFIG.DECLARATION_SEPARATOR).filter(d => d.trim()).length;
-}
-
 /**
  * Clear output editor and reset statistics
  */
@@ -287,12 +279,19 @@ function updateOutput(result) {
  * @param {Object} result - Processing result
  */
 function updateStats(result) {
-  const { rules, duplicates, emptyRulesRemoved, rulesSkipped } = result;
+  const stats = result.messages.find(message => message.type === 'stats');
+  if (!stats) return;
+
+  const { rulesVisited, rulesSkipped, rulesIgnored, emptyRulesRemoved } = stats;
+  // Rules and declaration blocks of at-rules, each counted once; emptied
+  // grouping at-rules such as `@media` are counted apart
+  const rules = rulesVisited + rulesSkipped + rulesIgnored;
 
   if (DOM.stats.inputRules) DOM.stats.inputRules.textContent = rules;
-  if (DOM.stats.outputRules) DOM.stats.outputRules.textContent = rules;
+  if (DOM.stats.outputRules)
+    DOM.stats.outputRules.textContent = rules - emptyRulesRemoved;
   if (DOM.stats.duplicatesRemoved)
-    DOM.stats.duplicatesRemoved.textContent = duplicates;
+    DOM.stats.duplicatesRemoved.textContent = stats.declarationsRemoved.total;
   if (DOM.stats.emptyRulesRemoved)
     DOM.stats.emptyRulesRemoved.textContent = emptyRulesRemoved;
   if (DOM.stats.rulesSkipped) DOM.stats.rulesSkipped.textContent = rulesSkipped;
@@ -2,7 +2,7 @@ export default {
   testEnvironment: 'node',
   testMatch: ['<rootDir>/__tests__/**/*.test.js'],
   collectCoverageFrom: [
-    'src/index.js',
+    'src/**/*.js',
     '!**/node_modules/**',
     '!**/coverage/**',
   ],
@@ -0,0 +1,85 @@
+'use strict';
+
+const DIRECTIVE_PATTERN =
+  /^remove-duplicate-values-(disable-next-line|disable|enable|ignore)(?:\s|$)/;
+
+/**
+ * Reads the directive of a comment, e.g. `remove-duplicate-values-disable`.
+ * Text after the directive, such as a reason, is allowed.
+ *
+ * @param {import('postcss').ChildNode} node - The node to read
+ * @returns {'disable-next-line' | 'disable' | 'enable' | 'ignore' | null} - The directive, if any
+ */
+const getDirective = node => {
+  if (node.type !== 'comment') return null;
+  const match = DIRECTIVE_PATTERN.exec(node.text.trim());
+  return match ? match[1] : null;
+};
+
+/**
+ * Determines if a node is a directive comment.
+ *
+ * @param {import('postcss').ChildNode} node - The node to check
+ * @returns {boolean} - True if the node is a directive comment
+ */
+const isDirective = node => getDirective(node) !== null;
+
+/**
+ * Collects the nodes that directives exclude from deduplication:
+ * - everything between `-disable` and `-enable` (or the end of the file)
+ * - the declaration right after `-disable-next-line`
+ * - the block holding `-ignore`, with everything inside it
+ *
+ * @param {import('postcss').Root} root - The stylesheet
+ * @returns {Set<import('postcss').Node>} - The excluded nodes
+ */
+const findIgnoredNodes = root => {
+  const ignored = new Set();
+  let disabled = false;
+
+  root.walk(node => {
+    if (disabled) ignored.add(node);
+
+    switch (getDirective(node)) {
+      case 'disable':
+        disabled = true;
+        break;
+      case 'enable':
+        disabled = false;
+        break;
+      case 'disable-next-line': {
+        const next = node.next();
+        if (next && next.type === 'decl') ignored.add(next);
+        break;
+      }
+      case 'ignore':
+        if (node.parent.type !== 'root') {
+          ignored.add(node.parent);
+          node.parent.walk(child => {
+            ignored.add(child);
+          });
+        }
+        break;
+    }
+  });
+
+  return ignored;
+};
+
+/**
+ * Determines if a block is excluded as a whole, e.g. by `-ignore` or by lying
+ * entirely within a `-disable` region.
+ *
+ * @param {import('postcss').Container} block - The rule or at-rule to check
+ * @param {Set<import('postcss').Node>} ignored - Nodes excluded by directives
+ * @returns {boolean} - True if the block and all of its children are excluded
+ */
+const isIgnoredBlock = (block, ignored) => {
+  return ignored.has(block) && block.nodes.every(node => ignored.has(node));
+};
+
+module.exports = {
+  findIgnoredNodes,
+  isDirective,
+  isIgnoredBlock,
+};
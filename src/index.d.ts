@@ -1,14 +1,137 @@
-import { Processor, Plugin } from 'postcss';
+import { Container, Declaration, Node, Processor, Plugin } from 'postcss';
+
+type SelectorFilter = string | RegExp | ((selector: string) => boolean);
+
+type PropertyFilter = string | RegExp | ((property: string) => boolean);
+
+type Decision = 'keep-both' | 'keep-existing' | 'keep-candidate';
+
+type Duplicate = {
+  rule: Container;
+  kept: Declaration;
+  candidate: Declaration;
+  reason: 'overridden' | 'identical' | 'important-wins';
+  decision: Decision;
+};
+
+type FallbackDetector = (
+  fallbackValue: string,
+  value: string,
+  property: string,
+) => boolean;
+
+type Pack = {
+  name?: string;
+  shorthands?: Record<string, string[]>;
+  aliases?: Record<string, string>;
+  multiValue?: string[];
+  fallbacks?: FallbackDetector[];
+};
 
 type Options = {
-  selector?: (selector: string) => boolean | string | RegExp;
-  preserveEmpty?: boolean;
+  selector?: SelectorFilter | SelectorFilter[];
+  exclude?: SelectorFilter | SelectorFilter[];
+  selectorMatch?: 'any' | 'all';
+  atRule?: SelectorFilter | SelectorFilter[];
+  excludeAtRule?: SelectorFilter | SelectorFilter[];
+  preserveEmpty?:
+    | boolean
+    | {
+        rules?: boolean;
+        atRules?: boolean | string[];
+      };
+  preserveFallbacks?: boolean;
+  prefixes?: string[];
+  normalizeValues?: boolean;
+  redundantOnly?: boolean;
+  shorthands?: boolean;
+  mergeLonghands?: boolean;
+  mergeNested?: boolean;
+  lint?: boolean;
+  stats?: boolean;
+  comments?: 'keep' | 'remove' | 'move' | 'annotate';
+  properties?: PropertyFilter | PropertyFilter[];
+  ignoreProperties?: PropertyFilter | PropertyFilter[];
+  strategy?: 'last' | 'first' | 'first-position';
+  important?: 'respect' | 'ignore' | 'preserve';
+  onDuplicate?: (duplicate: Duplicate) => Decision | void;
+  packs?: Pack[];
+  commentOut?: boolean;
+  strict?: boolean | 'warn';
+  onError?: (error: Error, node: Node) => void;
+  aliases?: 'fallback' | 'remove';
+  maxDuplicates?: number;
+  failOnDuplicates?: boolean;
+};
+
+type RemovalMessage = {
+  type: 'removal';
+  plugin: 'postcss-remove-duplicate-values';
+  reason:
+    'overridden' | 'identical' | 'important-wins' | 'merged' | 'empty-rule';
+  selector: string;
+  prop?: string;
+  value?: string;
+  keptProp?: string;
+  keptValue?: string;
+  file?: string;
+  line?: number;
+  column?: number;
+};
+
+type AliasMessage = {
+  type: 'alias';
+  plugin: 'postcss-remove-duplicate-values';
+  selector: string;
+  property: string;
+  prop: string;
+  laterProp: string;
+  file?: string;
+  line?: number;
+  column?: number;
+};
+
+type ByteSavings = {
+  before: number;
+  after: number;
+  saved: number;
+};
+
+type Stats = {
+  type: 'stats';
+  plugin: 'postcss-remove-duplicate-values';
+  rulesVisited: number;
+  rulesSkipped: number;
+  rulesIgnored: number;
+  emptyRulesRemoved: number;
+  emptyAtRulesRemoved: number;
+  declarationsRemoved: {
+    total: number;
+    overridden: number;
+    identical: number;
+    'important-wins': number;
+    merged: number;
+  };
+  bytes: ByteSavings;
+  gzipBytes?: ByteSavings;
 };
 
 declare const postcss: true;
+declare function register(pack: Pack): () => void;
 declare function pluginCreator(options?: Options): Plugin | Processor;
 declare namespace pluginCreator {
-  export { postcss, Options };
+  export {
+    postcss,
+    register,
+    Options,
+    Decision,
+    Duplicate,
+    FallbackDetector,
+    Pack,
+    RemovalMessage,
+    AliasMessage,
+    Stats,
+  };
 }
 
 export = pluginCreator;
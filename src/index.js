@@ -1,20 +1,170 @@
 'use strict';
 
+const {
+  MERGEABLE_SHORTHANDS,
+  isDescriptorAtRule,
+  isGroupingAtRule,
+  normalizeProperty,
+} = require('./properties');
+const { createRegistry, register } = require('./registry');
+const {
+  DEFAULT_PREFIXES,
+  hasVendorPrefix,
+  isModernFallback,
+  isVendorFallback,
+  normalizeValue,
+} = require('./values');
+const {
+  findIgnoredNodes,
+  isDirective,
+  isIgnoredBlock,
+} = require('./directives');
+const { matchSelectors } = require('./selectors');
+const { createStats, measure, toSavings } = require('./stats');
+
 const PLUGIN_NAME = 'postcss-remove-duplicate-values';
 
+/**
+ * Reasons that make a removed declaration count against `maxDuplicates`.
+ * @type {Set<RemovalMessage['reason']>}
+ */
+const DUPLICATE_REASONS = new Set([
+  'overridden',
+  'identical',
+  'important-wins',
+]);
+
+/**
+ * Keywords valid only as the whole value of a property, so a shorthand can
+ * hold one for all of its sides but not for a single side.
+ * @type {Set<string>}
+ */
+const CSS_WIDE_KEYWORDS = new Set([
+  'inherit',
+  'initial',
+  'unset',
+  'revert',
+  'revert-layer',
+]);
+
+/** @type {Set<Decision>} */
+const DECISIONS = new Set(['keep-both', 'keep-existing', 'keep-candidate']);
+
 /**
  * Options For The Plugin.
  * @typedef {Object} Options
- * @property {string | RegExp | ((selector: string) => boolean)} [selector]
- * @property {boolean} [preserveEmpty=false]
+ * @property {SelectorFilter | SelectorFilter[]} [selector]
+ * @property {SelectorFilter | SelectorFilter[]} [exclude]
+ * @property {'any' | 'all'} [selectorMatch='any']
+ * @property {SelectorFilter | SelectorFilter[]} [atRule]
+ * @property {SelectorFilter | SelectorFilter[]} [excludeAtRule]
+ * @property {boolean | PreserveEmpty} [preserveEmpty=false]
+ * @property {boolean} [preserveFallbacks=false]
+ * @property {string[]} [prefixes=['-webkit-', '-moz-', '-ms-', '-o-']]
+ * @property {boolean} [normalizeValues=false]
+ * @property {boolean} [redundantOnly=false]
+ * @property {boolean} [shorthands=false]
+ * @property {boolean} [mergeLonghands=false]
+ * @property {boolean} [mergeNested=false]
+ * @property {boolean} [lint=false]
+ * @property {boolean} [stats=false]
+ * @property {'keep' | 'remove' | 'move' | 'annotate'} [comments='keep']
+ * @property {PropertyFilter | PropertyFilter[]} [properties]
+ * @property {PropertyFilter | PropertyFilter[]} [ignoreProperties]
+ * @property {'last' | 'first' | 'first-position'} [strategy='last']
+ * @property {'respect' | 'ignore' | 'preserve'} [important='respect']
+ * @property {(duplicate: Duplicate) => Decision | void} [onDuplicate]
+ * @property {import('./registry').Pack[]} [packs]
+ * @property {boolean} [commentOut=false]
+ * @property {boolean | 'warn'} [strict=false]
+ * @property {(error: Error, node: import('postcss').Node) => void} [onError]
+ * @property {'fallback' | 'remove'} [aliases='fallback']
+ * @property {number} [maxDuplicates]
+ * @property {boolean} [failOnDuplicates=false]
+ */
+
+/**
+ * Decision on two duplicate declarations
+ * @typedef {'keep-both' | 'keep-existing' | 'keep-candidate'} Decision
+ */
+
+/**
+ * Duplicate passed to the `onDuplicate` hook
+ * @typedef {Object} Duplicate
+ * @property {import('postcss').Container} rule - The rule or at-rule holding both declarations
+ * @property {import('postcss').Declaration} kept - The earlier declaration, kept so far
+ * @property {import('postcss').Declaration} candidate - The later declaration
+ * @property {RemovalMessage['reason']} reason - Why the plugin would remove one of them
+ * @property {Decision} decision - Which one the plugin would keep on its own
+ */
+
+/**
+ * @typedef {import('./selectors').SelectorFilter} SelectorFilter
+ */
+
+/**
+ * Property Filter: an exact property name, a pattern or a predicate
+ * @typedef {string | RegExp | ((property: string) => boolean)} PropertyFilter
+ */
+
+/**
+ * Empty blocks to keep, per node type
+ * @typedef {Object} PreserveEmpty
+ * @property {boolean} [rules=false] - Keep empty style rules
+ * @property {boolean | string[]} [atRules=false] - Keep at-rules left empty, or only those with the listed names
  */
 
 /**
  * Rule Declarations Map Value
  * @typedef {Object} RuleDeclarationsMapValue
  * @property {string} [value]
- * @property {() => void} remove
+ * @property {string} [comparableValue]
+ * @property {import('postcss').Declaration} declaration
  * @property {boolean} important
+ * @property {RuleDeclarationsMapValue[]} [fallbacks]
+ */
+
+/**
+ * Removal Message pushed to `result.messages`
+ * @typedef {Object} RemovalMessage
+ * @property {'removal'} type
+ * @property {string} plugin
+ * @property {'overridden' | 'identical' | 'important-wins' | 'merged' | 'empty-rule'} reason
+ * @property {string} selector - Selector or at-rule prelude of the block
+ * @property {string} [prop] - Property of the removed declaration
+ * @property {string} [value] - Value of the removed declaration
+ * @property {string} [keptProp] - Property of the declaration that was kept
+ * @property {string} [keptValue] - Value of the declaration that was kept
+ * @property {string} [file] - Source file of the removed node
+ * @property {number} [line] - Source line of the removed node
+ * @property {number} [column] - Source column of the removed node
+ */
+
+/**
+ * Alias Message: two names of the same property found in one block
+ * @typedef {Object} AliasMessage
+ * @property {'alias'} type
+ * @property {string} plugin
+ * @property {string} selector - Selector or at-rule prelude of the block
+ * @property {string} property - The standard property both names set
+ * @property {string} prop - Property of the earlier declaration
+ * @property {string} laterProp - Property of the later declaration
+ * @property {string} [file] - Source file of the earlier declaration
+ * @property {number} [line] - Source line of the earlier declaration
+ * @property {number} [column] - Source column of the earlier declaration
+ */
+
+/**
+ * State of a single plugin run
+ * @typedef {Object} Run
+ * @property {import('postcss').Result} result
+ * @property {Pick<import('postcss').Helpers, 'AtRule' | 'Comment' | 'list'>} helpers - Node classes of the postcss instance processing the file
+ * @property {Set<import('postcss').Node>} removed - Nodes reported but left in place by lint mode
+ * @property {Set<import('postcss').Node>} ignored - Nodes excluded by directive comments
+ * @property {import('./stats').Stats} stats - Counters of the run
+ * @property {Set<Error>} raised - Errors that must reach the caller
+ * @property {RemovalMessage[]} duplicates - Duplicate declarations found
+ * @property {Set<import('postcss').Rule>} folded - Nested blocks lint mode compared as part of their parent rule
  */
 
 /**
@@ -23,21 +173,20 @@ const PLUGIN_NAME = 'postcss-remove-duplicate-values';
  */
 
 /**
- * Determines if a CSS selector should be processed based on the provided selector filter.
- * This allows targeting specific selectors for duplicate value removal.
+ * Determines if a property matches a property filter. Strings match the
+ * property name exactly; arrays match if any of their filters match.
  *
- * @param {Options['selector']} selector - The selector filter (string, regex, or function)
- * @param {string} walkSelector - The CSS selector to check
- * @returns {boolean} - True if the selector should be processed
+ * @param {PropertyFilter | PropertyFilter[]} filter - The property filter
+ * @param {string} property - The property name to check
+ * @returns {boolean} - True if the property matches the filter
  */
-const matchSelector = (selector, walkSelector) => {
-  if (typeof selector === 'string') {
-    if (walkSelector.indexOf(selector) !== -1) return true;
-  } else if (selector instanceof RegExp) {
-    if (selector.test(walkSelector)) return true;
-  } else if (typeof selector === 'function') {
-    if (selector(walkSelector)) return true;
+const matchProperty = (filter, property) => {
+  if (Array.isArray(filter)) {
+    return filter.some(item => matchProperty(item, property));
   }
+  if (typeof filter === 'string') return filter === property;
+  if (filter instanceof RegExp) return filter.test(property);
+  if (typeof filter === 'function') return Boolean(filter(property));
   return false;
 };
 
@@ -46,31 +195,606 @@ const matchSelector = (selector, walkSelector) => {
  * Vendor prefixes are preserved alongside standard properties to maintain browser compatibility.
  *
  * @param {string} property - The CSS property name to check
+ * @param {string[]} prefixes - The recognized vendor prefixes
  * @returns {boolean} - True if the property is vendor-prefixed
  */
-const isValidFallbackValue = property => {
+const isValidFallbackValue = (property, prefixes) => {
+  return hasVendorPrefix(property, prefixes);
+};
+
+/**
+ * Determines if a node is a declaration.
+ *
+ * @param {import('postcss').ChildNode} node - The node to check
+ * @returns {boolean} - True if the node is a declaration
+ */
+const isDeclaration = node => node.type === 'decl';
+
+/**
+ * Formats an at-rule prelude the way it is written, e.g. `@media print`.
+ *
+ * @param {import('postcss').AtRule} atRule - The at-rule to format
+ * @returns {string} - The at-rule name and params
+ */
+const formatAtRule = atRule => {
+  return atRule.params ? `@${atRule.name} ${atRule.params}` : `@${atRule.name}`;
+};
+
+/**
+ * Lists the at-rules a block is nested in, outermost first, including the
+ * block itself if it is an at-rule, e.g. `['@media print', '@layer base']`.
+ *
+ * @param {import('postcss').Container} block - The rule or at-rule
+ * @returns {string[]} - The at-rule preludes
+ */
+const getAtRuleContext = block => {
+  const context = [];
+  for (let node = block; node && node.type !== 'root'; node = node.parent) {
+    if (node.type === 'atrule') context.unshift(formatAtRule(node));
+  }
+  return context;
+};
+
+/**
+ * Finds the closest style rule a node is nested in, e.g. `.btn` for the
+ * `@media print` block of `.btn { @media print { ... } }`.
+ *
+ * @param {import('postcss').Node} node - The node to start from
+ * @returns {import('postcss').Rule | undefined} - The enclosing rule, if any
+ */
+const findParentRule = node => {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'rule') return parent;
+  }
+  return undefined;
+};
+
+/**
+ * Describes a block for reporting: the selector of a rule or the prelude of
+ * an at-rule.
+ *
+ * @param {import('postcss').Container} block - The rule or at-rule
+ * @returns {string} - The selector or at-rule prelude
+ */
+const describeBlock = block => {
+  return block.type === 'atrule' ? formatAtRule(block) : block.selector;
+};
+
+/**
+ * Describes a removal in plain words, e.g.
+ * `"color: red" is overridden by "color: blue"`.
+ *
+ * @param {RemovalMessage} message - The removal to describe
+ * @returns {string} - A human-readable description
+ */
+const describeRemoval = message => {
+  const removed = `"${message.prop}: ${message.value}"`;
+  const kept = `"${message.keptProp}: ${message.keptValue}"`;
+
+  switch (message.reason) {
+    case 'identical':
+      return `Duplicate declaration ${removed} is repeated by a later identical declaration`;
+    case 'important-wins':
+      return `Duplicate declaration ${removed} is overridden by the !important declaration ${kept}`;
+    case 'merged':
+      return `Declaration ${removed} can be merged into ${kept}`;
+    case 'empty-rule':
+      return `Empty rule "${message.selector}"`;
+    default:
+      return `Duplicate declaration ${removed} is overridden by ${kept}`;
+  }
+};
+
+/**
+ * Errors thrown by user callbacks. They reach the caller instead of making the
+ * plugin skip the node, since they point at bugs rather than malformed CSS.
+ * @type {WeakSet<Error>}
+ */
+const callbackErrors = new WeakSet();
+
+/**
+ * Calls a user callback, such as the `onDuplicate` hook, a filter function
+ * or a fallback detector, marking what it throws as a callback error.
+ *
+ * @param {Function} callback - The function calling into user code
+ * @param {...*} args - Arguments of the callback
+ * @returns {*} - What the callback returns
+ */
+const runCallback = (callback, ...args) => {
+  try {
+    return callback(...args);
+  } catch (error) {
+    const thrown = error instanceof Error ? error : new Error(String(error));
+    callbackErrors.add(thrown);
+    throw thrown;
+  }
+};
+
+/**
+ * Comments written by the plugin in place of removed declarations. They are
+ * never treated as comments of another declaration.
+ * @type {WeakSet<import('postcss').Comment>}
+ */
+const generatedComments = new WeakSet();
+
+/**
+ * Lists duplicate declarations over the `maxDuplicates` budget, one per line
+ * with its source position, e.g.
+ * `src/button.css:2:3 Duplicate declaration "color: red" is overridden by "color: blue"`.
+ *
+ * @param {RemovalMessage[]} duplicates - The duplicate declarations found
+ * @param {number} budget - The number of duplicates allowed
+ * @returns {string} - The error message
+ */
+const formatDuplicateReport = (duplicates, budget) => {
+  const lines = duplicates.map(message => {
+    const position = message.line ? `:${message.line}:${message.column}` : '';
+    return `  ${message.file || '<input css>'}${position} ${describeRemoval(message)}`;
+  });
+  const count = `${duplicates.length} duplicate declaration${duplicates.length === 1 ? '' : 's'}`;
+  return [`[${PLUGIN_NAME}] Found ${count}, ${budget} allowed:`, ...lines].join(
+    '\n',
+  );
+};
+
+/**
+ * Records two names of the same property found in one block, e.g. `word-wrap`
+ * followed by `overflow-wrap`.
+ *
+ * @param {Run} run - State of the current plugin run
+ * @param {import('postcss').Declaration} declaration - The earlier declaration
+ * @param {import('postcss').Declaration} other - The later declaration
+ * @param {string} property - The standard property both names set
+ */
+const reportAlias = (run, declaration, other, property) => {
+  const { start } = declaration.source || {};
+  /** @type {AliasMessage} */
+  const message = {
+    type: 'alias',
+    plugin: PLUGIN_NAME,
+    selector: describeBlock(declaration.parent),
+    property,
+    prop: declaration.prop,
+    laterProp: other.prop,
+  };
+  if (start) {
+    message.file = declaration.source.input && declaration.source.input.file;
+    message.line = start.line;
+    message.column = start.column;
+  }
+  run.result.messages.push(message);
+};
+
+/**
+ * Writes the comment that replaces a removed declaration in annotate mode,
+ * e.g. `removed duplicate: color: red (IE fallback)`, folding in the text of
+ * the comments attached to it.
+ *
+ * @param {RemovalMessage} message - The removal to annotate
+ * @param {import('postcss').Comment[]} [attached=[]] - Comments of the declaration
+ * @returns {string} - The comment text
+ */
+const annotateRemoval = (message, attached = []) => {
+  const removed = `${message.prop}: ${message.value}`;
+  const text =
+    message.reason === 'merged'
+      ? `merged into ${message.keptProp}: ${removed}`
+      : `removed duplicate: ${removed}`;
+  const notes = attached.map(comment => comment.text).filter(Boolean);
+  return notes.length ? `${text} (${notes.join('; ')})` : text;
+};
+
+/**
+ * Writes the comment that replaces a removed declaration in comment-out mode:
+ * the declaration as written and why it was removed, e.g.
+ * `color: red; — overridden`.
+ *
+ * @param {import('postcss').Declaration} declaration - The removed declaration
+ * @param {RemovalMessage} message - The removal
+ * @returns {string} - The comment text
+ */
+const commentOutRemoval = (declaration, message) => {
+  const reasons = {
+    overridden: 'overridden',
+    identical: 'repeated',
+    'important-wins': 'overridden by !important',
+    merged: `merged into ${message.keptProp}`,
+  };
+  const written = `${declaration.toString()};`.replace(/\*\//g, '*\\/');
+  return `${written} — ${reasons[message.reason]}`;
+};
+
+/**
+ * Determines if a comment trails the node before it on the same line,
+ * such as a note after `color: red;`. A comment followed by another node on
+ * the same line belongs to that node instead, e.g. in a one-line rule.
+ *
+ * @param {import('postcss').ChildNode} node - The node to check
+ * @returns {boolean} - True if the node is a trailing comment
+ */
+const isTrailingComment = node => {
+  const next = node.next();
+  return (
+    node.type === 'comment' &&
+    Boolean(node.prev()) &&
+    !(node.raws.before || '').includes('\n') &&
+    (!next || (next.raws.before || '').includes('\n'))
+  );
+};
+
+/**
+ * Finds the comments that belong to a declaration: the comments on the lines
+ * directly above it and a comment trailing it on the same line.
+ *
+ * @param {import('postcss').Declaration} declaration - The declaration
+ * @returns {import('postcss').Comment[]} - The attached comments, in order
+ */
+const findAttachedComments = declaration => {
+  const comments = [];
+  let node = declaration.prev();
+  while (
+    node &&
+    node.type === 'comment' &&
+    !isTrailingComment(node) &&
+    !isDirective(node) &&
+    !generatedComments.has(node)
+  ) {
+    comments.unshift(node);
+    node = node.prev();
+  }
+  const next = declaration.next();
+  if (
+    next &&
+    isTrailingComment(next) &&
+    !isDirective(next) &&
+    !generatedComments.has(next)
+  ) {
+    comments.push(next);
+  }
+  return comments;
+};
+
+/**
+ * Determines if a comment must be kept, e.g. a license starting with `/*!`.
+ *
+ * @param {import('postcss').ChildNode} node - The node to check
+ * @returns {boolean} - True if the node is an important comment
+ */
+const isImportantComment = node => {
+  return node.type === 'comment' && node.text.startsWith('!');
+};
+
+/**
+ * Determines if a block is empty (contains no nodes or only comments).
+ * Important comments and directives count as content.
+ * Empty blocks can be optionally removed to clean up the stylesheet.
+ *
+ * @param {import('postcss').Container} block - The rule or at-rule to check
+ * @param {Set<import('postcss').Node>} [removed] - Nodes that count as removed
+ * @returns {boolean} - True if the block is empty
+ */
+const isEmpty = (block, removed = new Set()) => {
+  return block.nodes.every(
+    node =>
+      removed.has(node) ||
+      (node.type === 'comment' &&
+        !isImportantComment(node) &&
+        !isDirective(node)),
+  );
+};
+
+/**
+ * Determines if a block is a named `@layer` block, whose position sets the
+ * layer order even when it is empty.
+ *
+ * @param {import('postcss').Container} block - The rule or at-rule to check
+ * @returns {boolean} - True if the block is a named layer block
+ */
+const isNamedLayer = block => {
   return (
-    property.startsWith('-webkit-') ||
-    property.startsWith('-moz-') ||
-    property.startsWith('-ms-') ||
-    property.startsWith('-o-')
+    block.type === 'atrule' &&
+    block.name.toLowerCase() === 'layer' &&
+    Boolean(block.params)
   );
 };
 
 /**
- * Determines if a CSS rule is empty (contains no properties or only comments).
- * Empty rules can be optionally removed to clean up the stylesheet.
+ * Counts the line breaks in a raw whitespace string.
+ *
+ * @param {string} [raw] - The raw string, e.g. `raws.before`
+ * @returns {number} - The number of line breaks
+ */
+const countNewlines = (raw = '') => raw.split('\n').length - 1;
+
+/**
+ * Closes the gap a node leaves when it is taken out of its block, as if it had
+ * never been written: the node after it takes over the indentation of a first
+ * child, and a blank line that separated the node from the one before it.
+ *
+ * @param {import('postcss').ChildNode} node - The node about to be taken out
+ * @param {import('postcss').ChildNode} [last=node] - The last node taken out
+ *   with it, e.g. its trailing comment
+ */
+const closeGap = (node, last = node) => {
+  const next = last.next();
+  const { before } = node.raws;
+  if (!next || before === undefined) return;
+  if (!node.prev() || countNewlines(before) > countNewlines(next.raws.before)) {
+    next.raws.before = before;
+  }
+};
+
+/**
+ * Removes a node without disturbing the formatting around it.
  *
- * @param {import('postcss').Rule} rule - The CSS rule to check
- * @returns {boolean} - True if the rule is empty
+ * @param {import('postcss').ChildNode} node - The node to remove
  */
-const isEmpty = rule => {
+const removeNode = node => {
+  closeGap(node);
+  node.remove();
+};
+
+/**
+ * Determines if the order of two declarations matters: they set the same
+ * property, prefixed, aliased or not, or one is a shorthand resetting the
+ * other.
+ *
+ * @param {string} property - The property of one declaration
+ * @param {string} other - The property of the other declaration
+ * @param {import('./registry').Registry} registry - The property knowledge
+ * @returns {boolean} - True if the declarations must keep their order
+ */
+const isRelatedProperty = (property, other, registry) => {
+  [property, other] = [property, other].map(normalizeProperty);
+  const [first, second] = [property, other].map(name =>
+    registry.resolveAlias(name).replace(/^-\w+-/, ''),
+  );
   return (
-    rule.nodes.length === 0 ||
-    rule.nodes.filter(v => v.type !== 'comment').length === 0
+    first === second ||
+    registry.isOverriddenBy(property, other) ||
+    registry.isOverriddenBy(other, property)
   );
 };
 
+/**
+ * Moves a declaration up to the position of an earlier one, unless a related
+ * declaration or a nested block in between would change what it overrides.
+ * Its comments move with it, and it lands right after the earlier declaration
+ * and its trailing comment so that their comments stay attached to them.
+ *
+ * @param {import('postcss').Declaration} declaration - The declaration to move
+ * @param {import('postcss').Declaration} target - The earlier declaration
+ * @param {import('postcss').Declaration[]} skipped - Declarations about to be removed
+ * @param {import('./registry').Registry} registry - The property knowledge
+ */
+const moveToPosition = (declaration, target, skipped, registry) => {
+  for (let node = target.next(); node !== declaration; node = node.next()) {
+    if (skipped.includes(node) || node.type === 'comment') continue;
+    if (
+      !isDeclaration(node) ||
+      isRelatedProperty(node.prop, declaration.prop, registry)
+    ) {
+      return;
+    }
+  }
+
+  const comments = findAttachedComments(declaration);
+  const group = [
+    ...comments.filter(comment => !isTrailingComment(comment)),
+    declaration,
+    ...comments.filter(isTrailingComment),
+  ];
+  const targetComments = findAttachedComments(target).filter(isTrailingComment);
+  const anchor = targetComments.length ? targetComments[0] : target;
+  const separator = anchor.next().raws.before;
+
+  closeGap(group[0], group[group.length - 1]);
+  group[0].raws.before = separator;
+  anchor.after(group);
+};
+
+/**
+ * Describes a node for error reports, e.g. `declaration "color: red"`.
+ *
+ * @param {import('postcss').Node} node - The node to describe
+ * @returns {string} - The node type and its source text
+ */
+const describeNode = node => {
+  switch (node.type) {
+    case 'decl':
+      return `declaration "${node.prop}: ${node.value}"`;
+    case 'rule':
+      return `rule "${node.selector}"`;
+    case 'atrule':
+      return `at-rule "${formatAtRule(node)}"`;
+    default:
+      return node.type;
+  }
+};
+
+/**
+ * Writes four per-side values in their shortest equivalent form,
+ * e.g. `8px 8px 8px 8px` becomes `8px`.
+ *
+ * @param {string[]} sides - The top, right, bottom and left values
+ * @returns {string} - The shortest equivalent shorthand value
+ */
+const minifySides = ([top, right, bottom, left]) => {
+  if (left !== right) return [top, right, bottom, left].join(' ');
+  if (bottom !== top) return [top, right, bottom].join(' ');
+  if (right !== top) return [top, right].join(' ');
+  return top;
+};
+
+/**
+ * Longhand Merge found by `findLonghandMerges`
+ * @typedef {Object} LonghandMerge
+ * @property {import('postcss').Declaration} declaration - Declaration rewritten as the shorthand
+ * @property {import('postcss').Declaration[]} merged - Declarations merged into it
+ * @property {string} prop - The shorthand property
+ * @property {string} value - The merged shorthand value
+ */
+
+/**
+ * Finds complete sets of per-side longhands, or a shorthand followed by
+ * longhand overrides, that can be collapsed into one equivalent shorthand.
+ * Sets mixing importance, using `var()`/`env()`, mixing a CSS-wide keyword
+ * such as `inherit` with other values or interleaved with related properties
+ * (e.g. `margin-inline-start` or `border-top`) are left untouched.
+ *
+ * @param {import('postcss').Declaration[]} declarations - Declarations of one block
+ * @param {import('./registry').Registry} registry - The property knowledge
+ * @param {import('postcss').Helpers['list']} list - The value splitter of postcss
+ * @returns {LonghandMerge[]} - The merges to apply
+ */
+const findLonghandMerges = (declarations, registry, list) => {
+  /** @type {LonghandMerge[]} */
+  const merges = [];
+
+  const propertyOf = new Map(
+    declarations.map(declaration => [
+      declaration,
+      normalizeProperty(declaration.prop),
+    ]),
+  );
+
+  for (const [shorthand, longhands] of Object.entries(MERGEABLE_SHORTHANDS)) {
+    const members = declarations.filter(
+      declaration =>
+        propertyOf.get(declaration) === shorthand ||
+        longhands.includes(propertyOf.get(declaration)),
+    );
+    if (members.length < 2) continue;
+
+    const [first, ...rest] = members;
+    const properties = members.map(declaration => propertyOf.get(declaration));
+    const hasRelated = declarations.some(
+      declaration =>
+        !members.includes(declaration) &&
+        (registry.isOverriddenBy(shorthand, propertyOf.get(declaration)) ||
+          longhands.some(longhand =>
+            registry.isOverriddenBy(propertyOf.get(declaration), longhand),
+          )),
+    );
+    if (
+      hasRelated ||
+      new Set(properties).size !== properties.length ||
+      rest.some(declaration => propertyOf.get(declaration) === shorthand) ||
+      members.some(
+        declaration =>
+          Boolean(declaration.important) !== Boolean(first.important) ||
+          /(?:^|[^\w-])(?:var|env)\(/i.test(declaration.value),
+      )
+    ) {
+      continue;
+    }
+
+    let sides = [];
+    if (propertyOf.get(first) === shorthand) {
+      const values = list.space(first.value);
+      if (values.length > 4 || values.includes('/')) continue;
+      const [top, right = top, bottom = top, left = right] = values;
+      sides = [top, right, bottom, left];
+    } else if (members.length !== longhands.length) {
+      continue;
+    }
+
+    const overrides = propertyOf.get(first) === shorthand ? rest : members;
+    if (overrides.some(({ value }) => list.space(value).length !== 1)) {
+      continue;
+    }
+    for (const declaration of overrides) {
+      sides[longhands.indexOf(propertyOf.get(declaration))] =
+        declaration.value.trim();
+    }
+    // A CSS-wide keyword can only stand for all four sides at once
+    const keywords = sides.map(side => side.toLowerCase());
+    if (
+      keywords.some(side => CSS_WIDE_KEYWORDS.has(side)) &&
+      new Set(keywords).size > 1
+    ) {
+      continue;
+    }
+
+    merges.push({
+      declaration: first,
+      merged: rest,
+      prop: shorthand,
+      value: minifySides(sides),
+    });
+  }
+
+  return merges;
+};
+
+/**
+ * Finds the nested `& { ... }` blocks that can be folded into their parent
+ * rule. Blocks containing nested rules or at-rules, and parents whose selector
+ * list or pseudo-elements would change how `&` matches, are left out.
+ *
+ * @param {import('postcss').Rule} rule - The CSS rule whose children to check
+ * @param {Set<import('postcss').Node>} ignored - Nodes excluded by directive comments
+ * @returns {import('postcss').Rule[]} - The blocks that can be folded
+ */
+const findFoldableBlocks = (rule, ignored) => {
+  if (
+    rule.selectors.length !== 1 ||
+    /::|:(?:before|after|first-line|first-letter)\b/i.test(rule.selector)
+  ) {
+    return [];
+  }
+
+  return rule.nodes.filter(
+    node =>
+      node.type === 'rule' &&
+      node.selector.trim() === '&' &&
+      !isIgnoredBlock(node, ignored) &&
+      node.nodes.every(
+        child => child.type === 'decl' || child.type === 'comment',
+      ),
+  );
+};
+
+/**
+ * Lists the children of a block, with the given nested blocks replaced by
+ * their own children as if they were folded in.
+ *
+ * @param {import('postcss').Container} container - The block
+ * @param {import('postcss').Rule[]} blocks - Nested blocks to expand
+ * @returns {import('postcss').ChildNode[]} - The children
+ */
+const expandBlocks = (container, blocks) => {
+  const nodes = [];
+  container.each(node => {
+    if (blocks.includes(node)) {
+      nodes.push(...node.nodes);
+    } else {
+      nodes.push(node);
+    }
+  });
+  return nodes;
+};
+
+/**
+ * Moves the declarations of nested `& { ... }` blocks into their parent rule,
+ * where they keep their position and therefore their precedence.
+ *
+ * @param {import('postcss').Rule} rule - The CSS rule whose children to fold
+ * @param {Set<import('postcss').Node>} ignored - Nodes excluded by directive comments
+ */
+const mergeNestedBlocks = (rule, ignored) => {
+  for (const block of findFoldableBlocks(rule, ignored)) {
+    const indent = /[ \t]*$/.exec(block.raws.before || '')[0];
+    block.nodes.forEach((child, index) => {
+      child.raws.before =
+        index === 0
+          ? block.raws.before
+          : (child.raws.before || '').replace(/[ \t]*$/, indent);
+    });
+    block.replaceWith([...block.nodes]);
+  }
+};
+
 /**
  * PostCSS plugin that removes duplicate CSS property values within rules.
  *
@@ -79,121 +803,783 @@ const isEmpty = rule => {
  * @return {import('postcss').Plugin} - PostCSS plugin instance
  */
 const plugin = (options = {}) => {
-  const { selector, preserveEmpty = false } = options;
+  const {
+    selector,
+    exclude,
+    selectorMatch = 'any',
+    atRule,
+    excludeAtRule,
+    preserveEmpty = false,
+    preserveFallbacks = false,
+    prefixes = DEFAULT_PREFIXES,
+    normalizeValues = false,
+    redundantOnly = false,
+    shorthands = false,
+    mergeLonghands = false,
+    mergeNested = false,
+    lint = false,
+    stats = false,
+    comments = 'keep',
+    properties,
+    ignoreProperties,
+    strategy = 'last',
+    important: importantPolicy = 'respect',
+    onDuplicate,
+    packs = [],
+    commentOut = false,
+    strict = false,
+    onError,
+    aliases: aliasPolicy = 'fallback',
+    maxDuplicates,
+    failOnDuplicates = false,
+  } = options;
+
+  // Number of duplicate declarations allowed before the build fails
+  const budget =
+    maxDuplicates !== undefined
+      ? maxDuplicates
+      : failOnDuplicates
+        ? 0
+        : Infinity;
+
+  if (commentOut && lint) {
+    throw new Error(
+      `[${PLUGIN_NAME}] The "commentOut" and "lint" options cannot be used together`,
+    );
+  }
+  if (commentOut && comments === 'annotate') {
+    throw new Error(
+      `[${PLUGIN_NAME}] The "commentOut" option cannot be used with comments: 'annotate'`,
+    );
+  }
+
+  /** @type {PreserveEmpty} */
+  const preserve =
+    typeof preserveEmpty === 'object' && preserveEmpty !== null
+      ? preserveEmpty
+      : { rules: preserveEmpty, atRules: preserveEmpty };
+
+  const registry = createRegistry(packs);
+
+  /**
+   * Determines if a block should be processed based on the `selector` and
+   * `exclude` filters. This allows targeting specific selectors for duplicate
+   * value removal.
+   *
+   * @param {string[]} selectors - The individual selectors of the block
+   * @returns {boolean} - True if the block should be processed
+   */
+  const isSelected = selectors => {
+    return (
+      (!selector ||
+        runCallback(matchSelectors, selector, selectors, selectorMatch)) &&
+      (!exclude || !runCallback(matchSelectors, exclude, selectors))
+    );
+  };
+
+  /**
+   * Determines if a block should be processed based on the `atRule` and
+   * `excludeAtRule` filters, which match its enclosing at-rules.
+   *
+   * @param {import('postcss').Container} block - The rule or at-rule
+   * @returns {boolean} - True if the block should be processed
+   */
+  const isInContext = block => {
+    if (!atRule && !excludeAtRule) return true;
+    const context = getAtRuleContext(block);
+    return (
+      (!atRule || runCallback(matchSelectors, atRule, context)) &&
+      (!excludeAtRule || !runCallback(matchSelectors, excludeAtRule, context))
+    );
+  };
+
+  /**
+   * Determines if declarations of a property are deduplicated, as set by the
+   * `properties` and `ignoreProperties` filters.
+   *
+   * @param {string} property - The property name to check
+   * @returns {boolean} - True if the property is deduplicated
+   */
+  const isProcessedProperty = property => {
+    return (
+      (properties === undefined ||
+        runCallback(matchProperty, properties, property)) &&
+      (ignoreProperties === undefined ||
+        !runCallback(matchProperty, ignoreProperties, property))
+    );
+  };
+
+  /**
+   * Determines if a declaration is left out of deduplication, either by a
+   * directive comment or by the property filters.
+   *
+   * @param {Run} run - State of the current plugin run
+   * @param {import('postcss').Declaration} declaration - The declaration
+   * @returns {boolean} - True if the declaration is neither removed nor
+   *   compared with others
+   */
+  const isExcluded = (run, declaration) => {
+    return (
+      run.ignored.has(declaration) ||
+      !isProcessedProperty(normalizeProperty(declaration.prop))
+    );
+  };
+
+  /**
+   * Determines if an earlier declaration must stay alongside a later one that
+   * overrides it: it is a fallback for the later value (as told by the
+   * built-in detectors or a registered pack), a legacy alias kept as a
+   * fallback, in redundantOnly mode it holds a different value or it is
+   * preserved as `!important`.
+   *
+   * @param {RuleDeclarationsMapValue} previous - The earlier declaration
+   * @param {string} name - The normalized property of the later declaration
+   * @param {string} value - The value of the later declaration
+   * @param {string} comparableValue - The comparable value of the later declaration
+   * @param {boolean} [descriptors=false] - Whether both are at-rule descriptors
+   * @returns {boolean} - True if the earlier declaration should be kept
+   */
+  const isKeptAlongside = (
+    previous,
+    name,
+    value,
+    comparableValue,
+    descriptors = false,
+  ) => {
+    if (redundantOnly && previous.comparableValue !== comparableValue) {
+      return true;
+    }
+    if (importantPolicy === 'preserve' && previous.important) return true;
+    const previousName = normalizeProperty(previous.declaration.prop);
+    const property = registry.resolveAlias(previousName);
+    return (
+      !descriptors &&
+      ((aliasPolicy === 'fallback' &&
+        previousName !== name &&
+        previousName !== property) ||
+        isVendorFallback(previous.value, value, prefixes) ||
+        (preserveFallbacks && isModernFallback(previous.value, value)) ||
+        runCallback(registry.isFallback, previous.value, value, property))
+    );
+  };
+
+  /**
+   * Handles an error that stopped the processing of a node. It is passed to
+   * `onError`, then dropped, reported with `result.warn` (`strict: 'warn'`) or
+   * thrown as a `CssSyntaxError` pointing at the node (`strict: true`).
+   * Errors of user callbacks are rethrown as they are.
+   *
+   * @param {Run} run - State of the current plugin run
+   * @param {Error} error - The error
+   * @param {import('postcss').Node} node - The node being processed
+   */
+  const handleError = (run, error, node) => {
+    // Errors raised for a nested node pass through the enclosing handlers,
+    // and errors of user callbacks are never swallowed
+    if (run.raised.has(error) || callbackErrors.has(error)) throw error;
+
+    if (typeof onError === 'function') {
+      try {
+        onError(error, node);
+      } catch (callbackError) {
+        run.raised.add(callbackError);
+        throw callbackError;
+      }
+    }
+
+    const text = `Skipped ${describeNode(node)}: ${error.message}`;
+    if (strict === true) {
+      const syntaxError = node.error(text);
+      run.raised.add(syntaxError);
+      throw syntaxError;
+    }
+    if (strict === 'warn') {
+      node.warn(run.result, text, { error });
+    }
+  };
+
+  /**
+   * Asks the `onDuplicate` hook which of two declarations to keep before one
+   * of them is removed.
+   *
+   * @param {import('postcss').Container} container - The block holding both
+   * @param {import('postcss').Declaration} kept - The earlier declaration
+   * @param {import('postcss').Declaration} candidate - The later declaration
+   * @param {RemovalMessage['reason']} reason - Why one would be removed
+   * @param {Decision} decision - What the plugin would do on its own
+   * @returns {Decision} - What to do
+   */
+  const decide = (container, kept, candidate, reason, decision) => {
+    if (typeof onDuplicate !== 'function') return decision;
+    const choice = runCallback(onDuplicate, {
+      rule: container,
+      kept,
+      candidate,
+      reason,
+      decision,
+    });
+    return DECISIONS.has(choice) ? choice : decision;
+  };
+
+  /**
+   * Removes a node and records the removal in `result.messages`. In lint mode
+   * the node is left in place and reported with `result.warn` instead.
+   * Comments attached to a removed declaration are kept, removed or moved
+   * next to the declaration that wins, per `comments`, and the declaration
+   * itself can be replaced by an annotation or commented out.
+   *
+   * @param {Run} run - State of the current plugin run
+   * @param {import('postcss').Declaration | import('postcss').Rule} node - The node to remove
+   * @param {{ prop: string, value: string } | null} kept - The declaration that wins over the node
+   * @param {RemovalMessage['reason']} reason - Why the node is removed
+   */
+  const discard = (run, node, kept, reason) => {
+    const { start } = node.source || {};
+    /** @type {RemovalMessage} */
+    const message = {
+      type: 'removal',
+      plugin: PLUGIN_NAME,
+      reason,
+      selector: describeBlock(node.type === 'decl' ? node.parent : node),
+    };
+    if (node.type === 'decl') {
+      message.prop = node.prop;
+      message.value = node.value;
+    }
+    if (kept) {
+      message.keptProp = kept.prop;
+      message.keptValue = kept.value;
+    }
+    if (reason === 'empty-rule') {
+      if (node.type === 'atrule') {
+        run.stats.emptyAtRulesRemoved++;
+      } else {
+        run.stats.emptyRulesRemoved++;
+      }
+    } else {
+      run.stats.declarationsRemoved.total++;
+      run.stats.declarationsRemoved[reason]++;
+    }
+    if (start) {
+      message.file = node.source.input && node.source.input.file;
+      message.line = start.line;
+      message.column = start.column;
+    }
+    if (DUPLICATE_REASONS.has(reason)) run.duplicates.push(message);
+
+    if (lint) {
+      run.removed.add(node);
+      node.warn(run.result, describeRemoval(message), {
+        word: node.type === 'decl' ? node.prop : describeBlock(node),
+        reason,
+      });
+      return;
+    }
+
+    run.result.messages.push(message);
+
+    // An emptied named layer becomes a statement to keep the layer order
+    if (isNamedLayer(node)) {
+      node.replaceWith(
+        new run.helpers.AtRule({
+          name: node.name,
+          params: node.params,
+          raws: { before: node.raws.before, afterName: node.raws.afterName },
+        }),
+      );
+      return;
+    }
+
+    if (node.type !== 'decl') {
+      removeNode(node);
+      return;
+    }
+
+    if (comments === 'remove' || comments === 'move') {
+      const target = reason === 'merged' ? kept.declaration : kept;
+      for (const comment of findAttachedComments(node)) {
+        if (comments === 'move') {
+          closeGap(comment);
+          comment.raws.before = target.raws.before;
+          target.before(comment);
+        } else {
+          removeNode(comment);
+        }
+      }
+    }
+
+    if (commentOut || comments === 'annotate') {
+      let text;
+      if (commentOut) {
+        text = commentOutRemoval(node, message);
+      } else {
+        // Fold the comments of the declaration into its annotation
+        const attached = findAttachedComments(node);
+        attached.forEach(removeNode);
+        text = annotateRemoval(message, attached);
+      }
+      const replacement = new run.helpers.Comment({
+        text,
+        raws: { before: node.raws.before },
+      });
+      generatedComments.add(replacement);
+      node.replaceWith(replacement);
+      return;
+    }
+
+    removeNode(node);
+  };
+
+  /**
+   * Determines if an empty block is kept, as set by `preserveEmpty`.
+   *
+   * @param {import('postcss').Container} block - The rule or at-rule
+   * @returns {boolean} - True if the block is kept
+   */
+  const isPreserved = block => {
+    if (block.type === 'rule') return Boolean(preserve.rules);
+    return Array.isArray(preserve.atRules)
+      ? preserve.atRules.includes(block.name.toLowerCase())
+      : Boolean(preserve.atRules);
+  };
+
+  /**
+   * Removes an empty block, then every enclosing rule or grouping at-rule
+   * such as `@media` that is left empty by its removal.
+   *
+   * @param {Run} run - State of the current plugin run
+   * @param {import('postcss').Container} block - The empty rule or at-rule
+   */
+  const removeEmpty = (run, block) => {
+    const { parent } = block;
+    discard(run, block, null, 'empty-rule');
+
+    if (
+      isNamedLayer(block) ||
+      !parent ||
+      parent.type === 'root' ||
+      run.ignored.has(parent) ||
+      isPreserved(parent) ||
+      !isInContext(parent) ||
+      !isEmpty(parent, run.removed)
+    ) {
+      return;
+    }
+    if (
+      parent.type === 'rule'
+        ? isSelected(parent.selectors)
+        : isGroupingAtRule(parent.name)
+    ) {
+      removeEmpty(run, parent);
+    }
+  };
+
+  /**
+   * Removes duplicate declarations among the direct children of a rule or
+   * declaration-bearing at-rule.
+   *
+   * @param {import('postcss').Container} container - The block to deduplicate
+   * @param {Run} run - State of the current plugin run
+   * @param {boolean} [descriptors=false] - Whether the block holds at-rule
+   *   descriptors, which are compared by exact name and always last-wins
+   */
+  const deduplicate = (container, run, descriptors = false) => {
+    // Track regular properties and vendor-prefixed properties separately
+    const ruleDeclarations = new Map();
+    const fallbackRuleDeclarations = new Map();
+
+    // Lint mode leaves nested `& { ... }` blocks in place, so their
+    // declarations are compared as if they were folded into this rule
+    const folded =
+      lint && mergeNested && container.type === 'rule'
+        ? findFoldableBlocks(container, run.ignored)
+        : [];
+    folded.forEach(block => run.folded.add(block));
+
+    // Only direct declarations belong to this block - nested rules
+    // are processed on their own
+    expandBlocks(container, folded).forEach(declaration => {
+      try {
+        // Validate declaration before processing
+        if (
+          !declaration ||
+          declaration.type !== 'decl' ||
+          !declaration.prop ||
+          !declaration.value
+        ) {
+          return; // Skip invalid declarations silently
+        }
+        // Excluded declarations are neither removed nor compared with others
+        if (isExcluded(run, declaration)) return;
+
+        // Names differing only in case or escapes are the same property,
+        // and aliases are deduplicated as the property they set
+        const name = normalizeProperty(declaration.prop);
+        const key = descriptors ? name : registry.resolveAlias(name);
+        // Every declaration of a multi-value property applies
+        if (!descriptors && registry.isMultiValue(key)) return;
+        const value = declaration.value.trim();
+        const important = Boolean(declaration.important);
+        // Value used to tell redundant duplicates from real overrides
+        const comparableValue = normalizeValues
+          ? normalizeValue(value, key)
+          : value;
+        const isValidFallback =
+          !descriptors && isValidFallbackValue(key, prefixes);
+
+        // Track vendor-prefixed properties separately from standard ones
+        // These are preserved alongside standard properties for browser compatibility
+        const declarations = isValidFallback
+          ? fallbackRuleDeclarations
+          : ruleDeclarations;
+
+        let currentRemoved = false;
+        /** @type {RuleDeclarationsMapValue[]} */
+        const fallbacks = [];
+
+        if (declarations.has(key)) {
+          // Handle duplicate properties
+          const data = declarations.get(key);
+          // Report two names of the same property, e.g. `grid-gap` and `gap`
+          if (
+            !descriptors &&
+            normalizeProperty(data.declaration.prop) !== name
+          ) {
+            reportAlias(run, data.declaration, declaration, key);
+          }
+          const respectImportant = importantPolicy !== 'ignore';
+          const reason =
+            data.comparableValue === comparableValue
+              ? 'identical'
+              : 'overridden';
+          if (respectImportant && data.important && !important) {
+            if (redundantOnly && data.comparableValue !== comparableValue) {
+              // Only identical values may be removed - keep both
+              return;
+            }
+            // Current is not important - remove it (important wins)
+            const decision = decide(
+              container,
+              data.declaration,
+              declaration,
+              'important-wins',
+              'keep-existing',
+            );
+            // Both stay, but the current one is not compared any further
+            if (decision === 'keep-both') return;
+            if (decision === 'keep-existing') {
+              discard(run, declaration, data.declaration, 'important-wins');
+              currentRemoved = true;
+            } else {
+              discard(run, data.declaration, declaration, reason);
+              fallbacks.push(...data.fallbacks);
+            }
+          } else if (
+            strategy === 'first' &&
+            !(respectImportant && important && !data.important)
+          ) {
+            // The earlier declaration is canonical - keep the current one
+            // only if it must stay alongside it
+            const decision =
+              isKeptAlongside(
+                data,
+                name,
+                value,
+                comparableValue,
+                descriptors,
+              ) ||
+              (importantPolicy === 'preserve' && important)
+                ? 'keep-both'
+                : decide(
+                    container,
+                    data.declaration,
+                    declaration,
+                    reason,
+                    'keep-existing',
+                  );
+            if (decision === 'keep-both') {
+              fallbacks.push(...data.fallbacks, data);
+            } else if (decision === 'keep-existing') {
+              discard(run, declaration, data.declaration, reason);
+              currentRemoved = true;
+            } else {
+              discard(run, data.declaration, declaration, reason);
+              fallbacks.push(...data.fallbacks);
+            }
+          } else {
+            // Current wins - keep only the earlier declarations that
+            // must stay alongside it (descriptors are always last-wins)
+            const removed = [];
+            for (const previous of [...data.fallbacks, data]) {
+              const previousReason =
+                previous.comparableValue === comparableValue
+                  ? 'identical'
+                  : 'overridden';
+              const decision = isKeptAlongside(
+                previous,
+                name,
+                value,
+                comparableValue,
+                descriptors,
+              )
+                ? 'keep-both'
+                : decide(
+                    container,
+                    previous.declaration,
+                    declaration,
+                    previousReason,
+                    'keep-candidate',
+                  );
+              if (decision === 'keep-existing') {
+                // The earlier declarations stay as they were
+                discard(run, declaration, previous.declaration, previousReason);
+                currentRemoved = true;
+                break;
+              }
+              if (decision === 'keep-both') {
+                fallbacks.push(previous);
+              } else {
+                removed.push(previous);
+              }
+            }
+            if (currentRemoved) return;
+
+            // Take the place of the first removed declaration, unless
+            // fallbacks have to stay in front of the current one
+            if (
+              strategy === 'first-position' &&
+              !lint &&
+              removed.length &&
+              !fallbacks.length
+            ) {
+              const targets = removed.map(previous => previous.declaration);
+              moveToPosition(declaration, targets[0], targets, registry);
+            }
+
+            // Remove the old declarations (last wins)
+            for (const previous of removed) {
+              discard(
+                run,
+                previous.declaration,
+                declaration,
+                previous.comparableValue === comparableValue
+                  ? 'identical'
+                  : 'overridden',
+              );
+            }
+          }
+        }
+
+        // Skip map updates if current declaration was removed
+        if (currentRemoved) return;
+
+        // Remove longhands fully overridden by a later shorthand
+        if (
+          shorthands &&
+          !descriptors &&
+          !redundantOnly &&
+          !isValidFallback &&
+          registry.isShorthand(key)
+        ) {
+          for (const [property, data] of ruleDeclarations) {
+            if (property === key || !registry.isOverriddenBy(key, property)) {
+              continue;
+            }
+            // An important longhand still wins over the shorthand
+            if (importantPolicy !== 'ignore' && data.important && !important) {
+              continue;
+            }
+
+            const kept = [];
+            for (const previous of [...data.fallbacks, data]) {
+              // Removing the shorthand would drop its other longhands too,
+              // so `keep-existing` keeps both
+              if (
+                isKeptAlongside(previous, key, value, comparableValue) ||
+                decide(
+                  container,
+                  previous.declaration,
+                  declaration,
+                  'overridden',
+                  'keep-candidate',
+                ) !== 'keep-candidate'
+              ) {
+                kept.push(previous);
+              } else {
+                discard(run, previous.declaration, declaration, 'overridden');
+              }
+            }
+
+            if (kept.length) {
+              ruleDeclarations.set(property, {
+                ...kept[kept.length - 1],
+                fallbacks: kept.slice(0, -1),
+              });
+            } else {
+              ruleDeclarations.delete(property);
+            }
+          }
+        }
+
+        // Store the current declaration for future duplicate detection
+        declarations.set(key, {
+          value,
+          comparableValue,
+          important,
+          declaration,
+          fallbacks,
+        });
+      } catch (declarationError) {
+        // Continue processing other declarations - silently unless the
+        // strict option or onError callback asks to hear about it
+        handleError(run, declarationError, declaration);
+      }
+    });
+
+    // Collapse longhands into shorthands once duplicates are gone
+    if (mergeLonghands && !descriptors) {
+      const declarations = expandBlocks(container, folded).filter(
+        node => isDeclaration(node) && !run.removed.has(node),
+      );
+      // Excluded declarations still block merges of related properties
+      const merges = findLonghandMerges(
+        declarations,
+        registry,
+        run.helpers.list,
+      ).filter(
+        merge =>
+          isProcessedProperty(merge.prop) &&
+          !(importantPolicy === 'preserve' && merge.declaration.important) &&
+          ![merge.declaration, ...merge.merged].some(declaration =>
+            isExcluded(run, declaration),
+          ),
+      );
+      for (const merge of merges) {
+        merge.merged.forEach(declaration =>
+          discard(run, declaration, merge, 'merged'),
+        );
+        if (!lint) {
+          merge.declaration.prop = merge.prop;
+          merge.declaration.value = merge.value;
+        }
+      }
+    }
+
+    // Clean up maps to prevent memory leaks
+    ruleDeclarations.clear();
+    fallbackRuleDeclarations.clear();
+  };
 
   return {
     postcssPlugin: PLUGIN_NAME,
-    Once(root) {
+    Once(root, { result, AtRule, Comment, list }) {
+      /** @type {Run} */
+      const run = {
+        result,
+        helpers: { AtRule, Comment, list },
+        removed: new Set(),
+        ignored: findIgnoredNodes(root),
+        stats: createStats(PLUGIN_NAME),
+        raised: new Set(),
+        duplicates: [],
+        folded: new Set(),
+      };
+      const before = stats ? measure(root.toString()) : null;
+
       try {
         root.walkRules(rule => {
           try {
+            // Already compared as part of its parent rule, like the fixer does
+            if (run.folded.has(rule)) return;
             // Apply selector filtering if specified - only process matching rules
-            if (selector) {
-              if (!matchSelector(selector, rule.selector)) {
-                return;
-              }
+            if (!isSelected(rule.selectors) || !isInContext(rule)) {
+              run.stats.rulesSkipped++;
+              return;
+            }
+            // Leave blocks excluded by an `-ignore` or `-disable` directive
+            if (isIgnoredBlock(rule, run.ignored)) {
+              run.stats.rulesIgnored++;
+              return;
             }
+            run.stats.rulesVisited++;
 
-            if (isEmpty(rule)) {
+            // Fold nested `& { ... }` blocks into this rule before deduplicating
+            if (mergeNested && !lint) {
+              mergeNestedBlocks(rule, run.ignored);
+            }
+
+            if (isEmpty(rule, run.removed)) {
               // Remove empty rules unless explicitly preserved
-              if (preserveEmpty !== true) {
-                rule.remove();
+              if (!isPreserved(rule)) {
+                removeEmpty(run, rule);
               }
             } else {
-              // Track regular properties and vendor-prefixed properties separately
-              const ruleDeclarations = new Map();
-              const fallbackRuleDeclarations = new Map();
-
-              rule.walkDecls(declaration => {
-                try {
-                  // Validate declaration before processing
-                  if (!declaration || !declaration.prop || !declaration.value) {
-                    return; // Skip invalid declarations silently
-                  }
-
-                  const key = declaration.prop;
-                  const value = declaration.value.trim();
-                  const important = Boolean(declaration.important);
-                  const isValidFallback = isValidFallbackValue(key);
-
-                  let currentRemoved = false;
-
-                  if (isValidFallback) {
-                    // Handle vendor-prefixed properties as fallbacks
-                    // These are preserved alongside standard properties for browser compatibility
-                    const existingFallback = fallbackRuleDeclarations.get(key);
-                    if (existingFallback) {
-                      if (existingFallback.important) {
-                        if (important) {
-                          // Both are important - remove the old one (last wins)
-                          existingFallback.declaration.remove();
-                        } else {
-                          // Current is not important - remove it
-                          declaration.remove();
-                          currentRemoved = true;
-                        }
-                      } else {
-                        // Old one is not important - remove it
-                        existingFallback.declaration.remove();
-                      }
-                    }
-                  } else if (ruleDeclarations.has(key)) {
-                    // Handle duplicate standard properties
-                    const data = ruleDeclarations.get(key);
-                    if (data.important) {
-                      if (important) {
-                        // Both are important - remove the old one (last wins)
-                        data.declaration.remove();
-                      } else {
-                        // Current is not important - remove it (important wins)
-                        declaration.remove();
-                        currentRemoved = true;
-                      }
-                    } else {
-                      // Remove the old declaration (last wins)
-                      data.declaration.remove();
-                    }
-                  }
-
-                  // Skip map updates if current declaration was removed
-                  if (currentRemoved) return;
-
-                  // Store the current declaration for future duplicate detection
-                  if (isValidFallback) {
-                    fallbackRuleDeclarations.set(key, {
-                      important,
-                      declaration,
-                    });
-                  } else {
-                    ruleDeclarations.set(key, {
-                      value,
-                      important,
-                      declaration,
-                    });
-                  }
-                } catch (declarationError) {
-                  // Continue processing other declarations silently
-                  // In production, we don't want to spam logs
-                }
-              });
-
-              // Clean up maps to prevent memory leaks
-              ruleDeclarations.clear();
-              fallbackRuleDeclarations.clear();
+              deduplicate(rule, run);
             }
           } catch (ruleError) {
-            // Continue processing other rules silently
-            // In production, we don't want to spam logs
+            // Continue processing other rules
+            handleError(run, ruleError, rule);
+          }
+        });
+
+        // At-rules such as @font-face, @page or nested @media blocks can hold
+        // declarations directly
+        root.walkAtRules(atRule => {
+          try {
+            if (!atRule.nodes || !atRule.nodes.some(isDeclaration)) return;
+
+            // Apply selector filtering to the rule an at-rule is nested in,
+            // otherwise to the at-rule prelude, e.g. `@font-face`
+            const parentRule = findParentRule(atRule);
+            const selectors = parentRule
+              ? parentRule.selectors
+              : [formatAtRule(atRule)];
+            if (!isSelected(selectors) || !isInContext(atRule)) {
+              run.stats.rulesSkipped++;
+              return;
+            }
+            if (isIgnoredBlock(atRule, run.ignored)) {
+              run.stats.rulesIgnored++;
+              return;
+            }
+            run.stats.rulesVisited++;
+
+            deduplicate(atRule, run, isDescriptorAtRule(atRule.name));
+          } catch (atRuleError) {
+            // Continue processing other at-rules
+            handleError(run, atRuleError, atRule);
           }
         });
       } catch (rootError) {
+        // Errors raised in strict mode already point at their node, and
+        // errors of user callbacks belong to the caller
+        if (run.raised.has(rootError) || callbackErrors.has(rootError)) {
+          throw rootError;
+        }
         // Only log critical errors that prevent the plugin from working
         console.error(`[${PLUGIN_NAME}] Critical error:`, rootError);
         throw rootError; // Re-throw critical errors
       }
+
+      // Break the build once the duplicate budget is exceeded
+      if (run.duplicates.length > budget) {
+        const error = new Error(formatDuplicateReport(run.duplicates, budget));
+        error.duplicates = run.duplicates;
+        throw error;
+      }
+
+      if (stats) {
+        const after = measure(root.toString());
+        run.stats.bytes = toSavings(before.raw, after.raw);
+        if (before.gzip !== undefined && after.gzip !== undefined) {
+          run.stats.gzipBytes = toSavings(before.gzip, after.gzip);
+        }
+        result.messages.push(run.stats);
+      }
     },
   };
 };
 
+plugin.register = register;
 plugin.postcss = true;
 module.exports = plugin;
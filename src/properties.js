@@ -0,0 +1,310 @@
+'use strict';
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const LOGICAL_SIDES = ['block', 'inline'];
+const LOGICAL_EDGES = [
+  'block-start',
+  'block-end',
+  'inline-start',
+  'inline-end',
+];
+
+/**
+ * Lists the physical and logical per-side properties of a box property,
+ * e.g. `margin-top` or `margin-inline-start`.
+ *
+ * @param {string} property - The box property, e.g. `margin`
+ * @param {string} [suffix] - Appended to every side, e.g. `-width`
+ * @returns {string[]} - The per-side property names
+ */
+const boxSides = (property, suffix = '') => {
+  return [...SIDES, ...LOGICAL_SIDES, ...LOGICAL_EDGES].map(
+    side => `${property}-${side}${suffix}`,
+  );
+};
+
+/**
+ * Shorthands mapped to every longhand (and nested shorthand) they reset.
+ * A longhand declared before one of these shorthands is always overridden.
+ * @type {Record<string, string[]>}
+ */
+const SHORTHANDS = {
+  margin: boxSides('margin'),
+  'margin-block': ['margin-block-start', 'margin-block-end'],
+  'margin-inline': ['margin-inline-start', 'margin-inline-end'],
+  padding: boxSides('padding'),
+  'padding-block': ['padding-block-start', 'padding-block-end'],
+  'padding-inline': ['padding-inline-start', 'padding-inline-end'],
+  inset: [...SIDES, ...boxSides('inset').slice(SIDES.length)],
+  'inset-block': ['inset-block-start', 'inset-block-end'],
+  'inset-inline': ['inset-inline-start', 'inset-inline-end'],
+  border: [
+    'border-width',
+    'border-style',
+    'border-color',
+    ...boxSides('border'),
+    ...boxSides('border', '-width'),
+    ...boxSides('border', '-style'),
+    ...boxSides('border', '-color'),
+    'border-image',
+    'border-image-source',
+    'border-image-slice',
+    'border-image-width',
+    'border-image-outset',
+    'border-image-repeat',
+  ],
+  'border-width': boxSides('border', '-width'),
+  'border-style': boxSides('border', '-style'),
+  'border-color': boxSides('border', '-color'),
+  'border-top': ['border-top-width', 'border-top-style', 'border-top-color'],
+  'border-right': [
+    'border-right-width',
+    'border-right-style',
+    'border-right-color',
+  ],
+  'border-bottom': [
+    'border-bottom-width',
+    'border-bottom-style',
+    'border-bottom-color',
+  ],
+  'border-left': [
+    'border-left-width',
+    'border-left-style',
+    'border-left-color',
+  ],
+  'border-image': [
+    'border-image-source',
+    'border-image-slice',
+    'border-image-width',
+    'border-image-outset',
+    'border-image-repeat',
+  ],
+  background: [
+    'background-color',
+    'background-image',
+    'background-position',
+    'background-position-x',
+    'background-position-y',
+    'background-size',
+    'background-repeat',
+    'background-attachment',
+    'background-origin',
+    'background-clip',
+  ],
+  'background-position': ['background-position-x', 'background-position-y'],
+  font: [
+    'font-style',
+    'font-variant',
+    'font-variant-caps',
+    'font-variant-ligatures',
+    'font-variant-numeric',
+    'font-variant-east-asian',
+    'font-variant-alternates',
+    'font-variant-position',
+    'font-weight',
+    'font-stretch',
+    'font-size',
+    'line-height',
+    'font-family',
+    'font-size-adjust',
+    'font-kerning',
+  ],
+  'border-radius': [
+    'border-top-left-radius',
+    'border-top-right-radius',
+    'border-bottom-right-radius',
+    'border-bottom-left-radius',
+    'border-start-start-radius',
+    'border-start-end-radius',
+    'border-end-start-radius',
+    'border-end-end-radius',
+  ],
+  'grid-area': [
+    'grid-row',
+    'grid-column',
+    'grid-row-start',
+    'grid-row-end',
+    'grid-column-start',
+    'grid-column-end',
+  ],
+  'grid-row': ['grid-row-start', 'grid-row-end'],
+  'grid-column': ['grid-column-start', 'grid-column-end'],
+  flex: ['flex-grow', 'flex-shrink', 'flex-basis'],
+};
+
+/**
+ * Shorthands that can safely be written from their four per-side longhands,
+ * listed in top, right, bottom, left order. Shorthands with narrower browser
+ * support than their longhands (such as `inset`) are not included.
+ * @type {Record<string, string[]>}
+ */
+const MERGEABLE_SHORTHANDS = {
+  margin: SIDES.map(side => `margin-${side}`),
+  padding: SIDES.map(side => `padding-${side}`),
+  'border-width': SIDES.map(side => `border-${side}-width`),
+  'border-style': SIDES.map(side => `border-${side}-style`),
+  'border-color': SIDES.map(side => `border-${side}-color`),
+  'border-radius': [
+    'border-top-left-radius',
+    'border-top-right-radius',
+    'border-bottom-right-radius',
+    'border-bottom-left-radius',
+  ],
+};
+
+/**
+ * Legacy property names mapped to the standard property they set. The legacy
+ * name is kept for browsers that do not know the standard one, but both set
+ * the same value. The `-webkit-box-*` properties of the 2009 flexbox syntax
+ * are not aliases: modern flex layout ignores them and their values differ.
+ * @type {Record<string, string>}
+ */
+const ALIASES = {
+  'word-wrap': 'overflow-wrap',
+  'grid-gap': 'gap',
+  'grid-row-gap': 'row-gap',
+  'grid-column-gap': 'column-gap',
+};
+
+/**
+ * Resolves a legacy property name to the standard property it sets.
+ *
+ * @param {string} property - The property name to resolve
+ * @returns {string} - The standard property, or the property itself
+ */
+const resolveAlias = property => {
+  return Object.prototype.hasOwnProperty.call(ALIASES, property)
+    ? ALIASES[property]
+    : property;
+};
+
+/**
+ * A CSS escape: up to six hex digits with an optional trailing space, or any
+ * other escaped character.
+ */
+const ESCAPE = /\\(?:([0-9a-f]{1,6})[ \t\n\f]?|\r\n|([\s\S]))/gi;
+
+/**
+ * Normalizes a property name for comparison: escapes are resolved and
+ * standard properties are lowercased, so `COLOR` and `col\6f r` both become
+ * `color`. Custom properties are case-sensitive and keep their case.
+ *
+ * @param {string} property - The property name as written
+ * @returns {string} - The normalized property name
+ */
+const normalizeProperty = property => {
+  const name = property.includes('\\')
+    ? property.replace(ESCAPE, (escape, hex, char) => {
+        if (char !== undefined) return char;
+        if (hex === undefined) return '';
+        const code = parseInt(hex, 16);
+        return code === 0 ||
+          code > 0x10ffff ||
+          (code >= 0xd800 && code <= 0xdfff)
+          ? '\ufffd'
+          : String.fromCodePoint(code);
+      })
+    : property;
+  return name.startsWith('--') ? name : name.toLowerCase();
+};
+
+/**
+ * Properties that the `all` shorthand does not reset.
+ * @type {Set<string>}
+ */
+const ALL_EXCEPTIONS = new Set(['direction', 'unicode-bidi']);
+
+/**
+ * Determines if a property is a shorthand that resets other properties.
+ *
+ * @param {string} property - The property name to check
+ * @returns {boolean} - True if the property is a known shorthand
+ */
+const isShorthand = property => {
+  return (
+    property === 'all' ||
+    Object.prototype.hasOwnProperty.call(SHORTHANDS, property)
+  );
+};
+
+/**
+ * Determines if a shorthand resets the given property.
+ *
+ * @param {string} shorthand - The shorthand property name
+ * @param {string} property - The property name to check
+ * @returns {boolean} - True if the property is reset by the shorthand
+ */
+const isOverriddenBy = (shorthand, property) => {
+  if (shorthand === 'all') {
+    return !property.startsWith('--') && !ALL_EXCEPTIONS.has(property);
+  }
+  return isShorthand(shorthand) && SHORTHANDS[shorthand].includes(property);
+};
+
+/**
+ * At-rules whose blocks hold descriptors rather than properties. Descriptors
+ * are compared by exact name only: they have no shorthands or fallbacks.
+ * @type {Set<string>}
+ */
+const DESCRIPTOR_AT_RULES = new Set([
+  'font-face',
+  'font-palette-values',
+  'property',
+  'counter-style',
+  'color-profile',
+  'view-transition',
+  'viewport',
+  // Feature blocks nested in @font-feature-values
+  'annotation',
+  'character-variant',
+  'ornaments',
+  'styleset',
+  'stylistic',
+  'swash',
+]);
+
+/**
+ * Determines if an at-rule holds descriptors rather than properties.
+ *
+ * @param {string} name - The at-rule name without `@`, e.g. `font-face`
+ * @returns {boolean} - True if the at-rule block holds descriptors
+ */
+const isDescriptorAtRule = name => {
+  return DESCRIPTOR_AT_RULES.has(name.toLowerCase().replace(/^-\w+-/, ''));
+};
+
+/**
+ * At-rules that only group rules, so a block left without rules can go.
+ * @type {Set<string>}
+ */
+const GROUPING_AT_RULES = new Set([
+  'media',
+  'supports',
+  'layer',
+  'container',
+  'scope',
+  'starting-style',
+  'document',
+]);
+
+/**
+ * Determines if an at-rule only groups rules, e.g. `@media` or `@supports`.
+ *
+ * @param {string} name - The at-rule name without `@`, e.g. `media`
+ * @returns {boolean} - True if the at-rule block only groups rules
+ */
+const isGroupingAtRule = name => {
+  return GROUPING_AT_RULES.has(name.toLowerCase().replace(/^-\w+-/, ''));
+};
+
+module.exports = {
+  ALIASES,
+  MERGEABLE_SHORTHANDS,
+  SHORTHANDS,
+  isDescriptorAtRule,
+  isGroupingAtRule,
+  isOverriddenBy,
+  isShorthand,
+  normalizeProperty,
+  resolveAlias,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const { isOverriddenBy, isShorthand, resolveAlias } = require('./properties');
+
+/**
+ * Property Knowledge Pack, e.g. for CSS Modules or a utility framework
+ * @typedef {Object} Pack
+ * @property {string} [name] - Name of the pack, used in error messages
+ * @property {Record<string, string[]>} [shorthands] - Shorthands mapped to every property they reset
+ * @property {Record<string, string>} [aliases] - Alternative property names mapped to the property they set
+ * @property {string[]} [multiValue] - Properties whose repeated declarations all apply, e.g. `composes`
+ * @property {FallbackDetector[]} [fallbacks] - Detectors of values that must stay in front of a later value
+ */
+
+/**
+ * Fallback Detector: tells if an earlier value must stay in front of a later
+ * value of the same property
+ * @callback FallbackDetector
+ * @param {string} fallbackValue - The earlier value
+ * @param {string} value - The later value
+ * @param {string} property - The property of both declarations
+ * @returns {boolean}
+ */
+
+/**
+ * Property knowledge consulted by the plugin: the built-in tables combined
+ * with the registered packs
+ * @typedef {Object} Registry
+ * @property {(property: string) => string} resolveAlias
+ * @property {(property: string) => boolean} isShorthand
+ * @property {(shorthand: string, property: string) => boolean} isOverriddenBy
+ * @property {(property: string) => boolean} isMultiValue
+ * @property {(fallbackValue: string, value: string, property: string) => boolean} isFallback
+ */
+
+/**
+ * Packs registered for every instance of the plugin.
+ * @type {Pack[]}
+ */
+const registeredPacks = [];
+
+/**
+ * Checks that a pack has the expected shape.
+ *
+ * @param {Pack} pack - The pack to check
+ * @throws {TypeError} - If the pack is malformed
+ */
+const validatePack = pack => {
+  if (!pack || typeof pack !== 'object') {
+    throw new TypeError('A property knowledge pack must be an object');
+  }
+  const name = pack.name ? `Pack "${pack.name}"` : 'Property knowledge pack';
+  for (const key of ['shorthands', 'aliases']) {
+    if (pack[key] !== undefined && typeof pack[key] !== 'object') {
+      throw new TypeError(`${name}: "${key}" must be an object`);
+    }
+  }
+  for (const key of ['multiValue', 'fallbacks']) {
+    if (pack[key] !== undefined && !Array.isArray(pack[key])) {
+      throw new TypeError(`${name}: "${key}" must be an array`);
+    }
+  }
+};
+
+/**
+ * Registers a pack for every instance of the plugin created afterwards.
+ *
+ * @param {Pack} pack - The pack to register
+ * @returns {() => void} - Unregisters the pack
+ */
+const register = pack => {
+  validatePack(pack);
+  registeredPacks.push(pack);
+  return () => {
+    const index = registeredPacks.indexOf(pack);
+    if (index !== -1) registeredPacks.splice(index, 1);
+  };
+};
+
+/**
+ * Combines the built-in property knowledge with the registered packs and the
+ * packs of one plugin instance.
+ *
+ * @param {Pack[]} [packs=[]] - Packs of the plugin instance
+ * @returns {Registry} - The combined property knowledge
+ */
+const createRegistry = (packs = []) => {
+  packs.forEach(validatePack);
+
+  /** @type {Record<string, string[]>} */
+  const shorthands = {};
+  /** @type {Record<string, string>} */
+  const aliases = {};
+  const multiValue = new Set();
+  /** @type {FallbackDetector[]} */
+  const fallbacks = [];
+
+  for (const pack of [...registeredPacks, ...packs]) {
+    for (const [shorthand, properties] of Object.entries(
+      pack.shorthands || {},
+    )) {
+      shorthands[shorthand] = [...(shorthands[shorthand] || []), ...properties];
+    }
+    Object.assign(aliases, pack.aliases);
+    (pack.multiValue || []).forEach(property => multiValue.add(property));
+    fallbacks.push(...(pack.fallbacks || []));
+  }
+
+  return {
+    resolveAlias: property =>
+      Object.prototype.hasOwnProperty.call(aliases, property)
+        ? aliases[property]
+        : resolveAlias(property),
+    isShorthand: property =>
+      isShorthand(property) ||
+      Object.prototype.hasOwnProperty.call(shorthands, property),
+    isOverriddenBy: (shorthand, property) =>
+      isOverriddenBy(shorthand, property) ||
+      (Object.prototype.hasOwnProperty.call(shorthands, shorthand) &&
+        shorthands[shorthand].includes(property)),
+    isMultiValue: property => multiValue.has(property),
+    isFallback: (fallbackValue, value, property) =>
+      fallbacks.some(detector => detector(fallbackValue, value, property)),
+  };
+};
+
+module.exports = {
+  createRegistry,
+  register,
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const NAME_CHAR = /[\w\u0080-\uffff\\-]/;
+// Characters that make a following name part of a class, id, pseudo-class,
+// attribute or value rather than a type selector
+const NAME_PREFIX = /[\w\u0080-\uffff\\.#:[="'-]/;
+const ATTRIBUTE_FILTER = /^\[\s*([^\]\s~|^$*=]+)\s*\]$/;
+
+/**
+ * Selector Filter: a simple selector, a pattern or a predicate
+ * @typedef {string | RegExp | ((selector: string) => boolean)} SelectorFilter
+ */
+
+/**
+ * Escapes a string for use in a RegExp.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Determines if a selector contains a simple selector as a whole, e.g. `.btn`
+ * matches `.nav .btn:hover` but neither `.btn-group` nor `.not-a-btn`.
+ * An attribute filter without a value, e.g. `[disabled]`, matches that
+ * attribute with any value.
+ *
+ * @param {string} filter - The simple selector to look for
+ * @param {string} selector - A single selector
+ * @returns {boolean} - True if the selector contains the filter
+ */
+const containsSelector = (filter, selector) => {
+  const attribute = ATTRIBUTE_FILTER.exec(filter);
+  if (attribute) {
+    return new RegExp(
+      `\\[\\s*${escapeRegExp(attribute[1])}\\s*(?:[~|^$*]?=|[\\]\\s])`,
+    ).test(selector);
+  }
+
+  const checkStart = NAME_CHAR.test(filter[0]);
+  const checkEnd = NAME_CHAR.test(filter[filter.length - 1]);
+
+  for (
+    let index = selector.indexOf(filter);
+    index !== -1;
+    index = selector.indexOf(filter, index + 1)
+  ) {
+    const before = selector[index - 1];
+    const after = selector[index + filter.length];
+    if (checkStart && before && NAME_PREFIX.test(before)) continue;
+    if (checkEnd && after && NAME_CHAR.test(after)) continue;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Determines if a single selector matches a selector filter.
+ *
+ * @param {SelectorFilter} filter - The selector filter
+ * @param {string} selector - A single selector
+ * @returns {boolean} - True if the selector matches the filter
+ */
+const matchSelector = (filter, selector) => {
+  if (typeof filter === 'string') return containsSelector(filter, selector);
+  if (filter instanceof RegExp) return filter.test(selector);
+  if (typeof filter === 'function') return Boolean(filter(selector));
+  return false;
+};
+
+/**
+ * Determines if a block matches one or more selector filters. Each filter is
+ * tested against every selector of a comma-separated list and matches if any
+ * of them does.
+ *
+ * @param {SelectorFilter | SelectorFilter[]} filters - The selector filters
+ * @param {string[]} selectors - The individual selectors of the block
+ * @param {'any' | 'all'} [mode='any'] - Whether any or all filters must match
+ * @returns {boolean} - True if the block matches
+ */
+const matchSelectors = (filters, selectors, mode = 'any') => {
+  const matches = filter =>
+    selectors.some(selector => matchSelector(filter, selector.trim()));
+
+  if (!Array.isArray(filters)) return matches(filters);
+  return mode === 'all' ? filters.every(matches) : filters.some(matches);
+};
+
+module.exports = {
+  matchSelectors,
+};
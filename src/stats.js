@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Byte Savings
+ * @typedef {Object} ByteSavings
+ * @property {number} before - Size before the plugin ran
+ * @property {number} after - Size after the plugin ran
+ * @property {number} saved - Bytes saved by the plugin
+ */
+
+/**
+ * Per-run Statistics pushed to `result.messages` when `stats` is enabled
+ * @typedef {Object} Stats
+ * @property {'stats'} type
+ * @property {string} plugin
+ * @property {number} rulesVisited - Rules and declaration blocks of at-rules processed by the plugin
+ * @property {number} rulesSkipped - Rules and at-rules skipped by the selector and at-rule filters
+ * @property {number} rulesIgnored - Rules and at-rules skipped by directive comments
+ * @property {number} emptyRulesRemoved - Empty rules removed
+ * @property {number} emptyAtRulesRemoved - At-rules removed once left without rules, e.g. `@media`
+ * @property {Record<string, number> & { total: number }} declarationsRemoved - Declarations removed, in total and by reason
+ * @property {ByteSavings} [bytes] - Raw size savings
+ * @property {ByteSavings} [gzipBytes] - Gzipped size savings, when zlib is available
+ */
+
+/**
+ * Creates empty statistics for a plugin run.
+ *
+ * @param {string} plugin - The plugin name
+ * @returns {Stats} - Statistics with every counter at zero
+ */
+const createStats = plugin => {
+  return {
+    type: 'stats',
+    plugin,
+    rulesVisited: 0,
+    rulesSkipped: 0,
+    rulesIgnored: 0,
+    emptyRulesRemoved: 0,
+    emptyAtRulesRemoved: 0,
+    declarationsRemoved: {
+      total: 0,
+      overridden: 0,
+      identical: 0,
+      'important-wins': 0,
+      merged: 0,
+    },
+  };
+};
+
+/**
+ * Measures the raw and gzipped size of a stylesheet in bytes. The gzipped
+ * size is left out where zlib is not available, e.g. in browsers.
+ *
+ * @param {string} css - The stylesheet
+ * @returns {{ raw: number, gzip?: number }} - The sizes in bytes
+ */
+const measure = css => {
+  const size = {
+    raw:
+      typeof Buffer === 'undefined'
+        ? new TextEncoder().encode(css).length
+        : Buffer.byteLength(css),
+  };
+  try {
+    size.gzip = require('zlib').gzipSync(css).length;
+  } catch (zlibError) {
+    // Gzip savings are optional
+  }
+  return size;
+};
+
+/**
+ * Computes the savings between two measurements.
+ *
+ * @param {number} before - Size before the plugin ran
+ * @param {number} after - Size after the plugin ran
+ * @returns {ByteSavings} - The savings
+ */
+const toSavings = (before, after) => {
+  return { before, after, saved: before - after };
+};
+
+module.exports = {
+  createStats,
+  measure,
+  toSavings,
+};
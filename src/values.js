@@ -0,0 +1,338 @@
+'use strict';
+
+const { NAMED_COLORS } = require('./colors');
+
+/**
+ * Vendor prefixes recognized when no `prefixes` option is given.
+ * @type {string[]}
+ */
+const DEFAULT_PREFIXES = ['-webkit-', '-moz-', '-ms-', '-o-'];
+
+/**
+ * Value syntax that older browsers reject, grouped by support tier.
+ * A declaration using one of these is commonly preceded by a deliberate
+ * fallback for the same property.
+ * @type {Array<[string, RegExp]>}
+ */
+const MODERN_FEATURES = [
+  ['calc', /(?:^|[^\w-])calc\(/i],
+  ['custom-property', /(?:^|[^\w-])var\(/i],
+  ['environment', /(?:^|[^\w-])env\(/i],
+  [
+    'math-function',
+    /(?:^|[^\w-])(?:clamp|min|max|round|mod|rem|abs|sign|sqrt|pow|hypot|log|exp|sin|cos|tan|asin|acos|atan|atan2)\(/i,
+  ],
+  [
+    'color-function',
+    /(?:^|[^\w-])(?:oklch|oklab|lab|lch|hwb|color|color-mix|light-dark|contrast-color)\(/i,
+  ],
+  [
+    'image-function',
+    /(?:^|[^\w-])(?:image-set|conic-gradient|repeating-conic-gradient|cross-fade)\(/i,
+  ],
+  ['viewport-unit', /\d(?:[sld]v(?:h|w|i|b|min|max)|v[ib])(?![\w-])/i],
+  ['container-unit', /\dcq(?:w|h|i|b|min|max)(?![\w-])/i],
+  [
+    'sizing-keyword',
+    /(?:^|[^\w-])(?:fit-content|min-content|max-content)(?![\w-])/i,
+  ],
+  ['layout-keyword', /(?:^|[^\w-])(?:sticky|flow-root|subgrid)(?![\w-])/i],
+];
+
+/**
+ * Blanks out quoted strings so their contents are never mistaken for syntax.
+ *
+ * @param {string} value - The CSS value
+ * @returns {string} - The value with string contents removed
+ */
+const stripStrings = value => {
+  return value.replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, '""');
+};
+
+/**
+ * Lists the modern syntax features used by a CSS value.
+ *
+ * @param {string} value - The CSS value to inspect
+ * @returns {Set<string>} - Names of the features found in the value
+ */
+const getModernFeatures = value => {
+  const source = stripStrings(value);
+  const features = new Set();
+  for (const [name, pattern] of MODERN_FEATURES) {
+    if (pattern.test(source)) features.add(name);
+  }
+  return features;
+};
+
+/**
+ * Determines if an earlier value acts as a fallback for a later one, i.e. the
+ * later value relies on syntax that the earlier value does not use.
+ *
+ * @param {string} fallbackValue - The value of the earlier declaration
+ * @param {string} value - The value of the later declaration
+ * @returns {boolean} - True if the earlier value should be kept as a fallback
+ */
+const isModernFallback = (fallbackValue, value) => {
+  const fallbackFeatures = getModernFeatures(fallbackValue);
+  for (const feature of getModernFeatures(value)) {
+    if (!fallbackFeatures.has(feature)) return true;
+  }
+  return false;
+};
+
+/**
+ * Determines if an identifier starts with one of the given vendor prefixes.
+ *
+ * @param {string} name - The property name or keyword to check
+ * @param {string[]} prefixes - The recognized vendor prefixes
+ * @returns {boolean} - True if the identifier is vendor-prefixed
+ */
+const hasVendorPrefix = (name, prefixes) => {
+  const lowerName = name.toLowerCase();
+  return prefixes.some(prefix => lowerName.startsWith(prefix.toLowerCase()));
+};
+
+/**
+ * Collects the vendor-prefixed keywords and functions used by a CSS value,
+ * e.g. `-webkit-box` or `-webkit-linear-gradient`.
+ *
+ * @param {string} value - The CSS value to inspect
+ * @param {string[]} prefixes - The recognized vendor prefixes
+ * @returns {Set<string>} - The prefixed identifiers found in the value
+ */
+const getPrefixedIdentifiers = (value, prefixes) => {
+  const identifiers = new Set();
+  const matches = stripStrings(value).match(/(?:^|[^\w-])-[\w-]+/g) || [];
+  for (const match of matches) {
+    const identifier = match.replace(/^[^-]/, '').toLowerCase();
+    if (hasVendorPrefix(identifier, prefixes)) identifiers.add(identifier);
+  }
+  return identifiers;
+};
+
+/**
+ * Determines if an earlier value acts as a vendor-prefixed fallback for a
+ * later one, i.e. the two values use different prefixed keywords or functions.
+ * `display: -webkit-box` is kept before `display: flex`, while two values
+ * using the same prefixed syntax are still treated as duplicates.
+ *
+ * @param {string} fallbackValue - The value of the earlier declaration
+ * @param {string} value - The value of the later declaration
+ * @param {string[]} prefixes - The recognized vendor prefixes
+ * @returns {boolean} - True if the earlier value should be kept as a fallback
+ */
+const isVendorFallback = (fallbackValue, value, prefixes) => {
+  const fallbackIdentifiers = getPrefixedIdentifiers(fallbackValue, prefixes);
+  const identifiers = getPrefixedIdentifiers(value, prefixes);
+  if (fallbackIdentifiers.size !== identifiers.size) return true;
+  for (const identifier of fallbackIdentifiers) {
+    if (!identifiers.has(identifier)) return true;
+  }
+  return false;
+};
+
+/**
+ * Length units whose zero value is equivalent to a unitless `0`.
+ * @type {Set<string>}
+ */
+const LENGTH_UNITS = new Set(
+  `px em rem ex rex ch rch cap rcap ic ric lh rlh cm mm q in pt pc vw vh vi
+  vb vmin vmax svw svh svi svb svmin svmax lvw lvh lvi lvb lvmin lvmax dvw
+  dvh dvi dvb dvmin dvmax cqw cqh cqi cqb cqmin cqmax`.split(/\s+/),
+);
+
+/**
+ * Functions whose arguments must keep their units, e.g. `calc(0px + 10%)`
+ * is valid while `calc(0 + 10%)` is not.
+ * @type {Set<string>}
+ */
+const UNIT_SENSITIVE_FUNCTIONS = new Set(
+  `calc min max clamp round mod rem abs sign hypot var env`.split(/\s+/),
+);
+
+/**
+ * Properties whose values contain author-defined, case-sensitive identifiers.
+ * @type {Set<string>}
+ */
+const CASE_SENSITIVE_PROPERTIES = new Set(
+  `anchor-name animation animation-name container container-name
+  counter-increment counter-reset counter-set grid-area grid-column
+  grid-column-end grid-column-start grid-row grid-row-end grid-row-start
+  grid-template grid-template-areas grid-template-columns grid-template-rows
+  list-style list-style-type position-anchor view-transition-name`.split(/\s+/),
+);
+
+/**
+ * Converts a hexadecimal color to its canonical lowercase six or eight digit
+ * form, dropping an opaque alpha channel.
+ *
+ * @param {string} hex - The hexadecimal color including `#`
+ * @returns {string} - The canonical hexadecimal color
+ */
+const normalizeHex = hex => {
+  let digits = hex.slice(1).toLowerCase();
+  if (digits.length <= 4) {
+    digits = digits.replace(/./g, digit => digit + digit);
+  }
+  if (digits.length === 8 && digits.endsWith('ff')) {
+    digits = digits.slice(0, 6);
+  }
+  return `#${digits}`;
+};
+
+/**
+ * Converts a normalized `rgb()` or `rgba()` color to its hexadecimal form.
+ *
+ * @param {string} color - The color function, e.g. `rgb(255,0,0)`
+ * @returns {string | null} - The hexadecimal color, or null if not convertible
+ */
+const rgbToHex = color => {
+  const args = color
+    .slice(color.indexOf('(') + 1, -1)
+    .split(/[\s,/]+/)
+    .filter(Boolean);
+  if (args.length !== 3 && args.length !== 4) return null;
+
+  const channels = [];
+  for (const [index, arg] of args.entries()) {
+    const match = /^(\d*\.?\d+)(%?)$/.exec(arg);
+    if (!match) return null;
+    const number = Number(match[1]);
+    const isAlpha = index === 3;
+    const ratio = match[2] ? number / 100 : isAlpha ? number : number / 255;
+    channels.push(Math.round(Math.min(Math.max(ratio, 0), 1) * 255));
+  }
+
+  return normalizeHex(
+    `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`,
+  );
+};
+
+/**
+ * Normalizes a single word of a CSS value: numbers, units, hex colors,
+ * named colors and keyword case.
+ *
+ * @param {string} word - The word to normalize
+ * @param {boolean} caseSensitive - Whether identifiers must keep their case
+ * @param {boolean} unitSensitive - Whether zero lengths must keep their unit
+ * @returns {string} - The normalized word
+ */
+const normalizeWord = (word, caseSensitive, unitSensitive) => {
+  if (word.startsWith('--')) return word;
+
+  if (/^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(word)) {
+    return normalizeHex(word);
+  }
+
+  const number = /^([+-]?(?:\d*\.)?\d+(?:e[+-]?\d+)?)([a-z%]*)$/i.exec(word);
+  if (number) {
+    const amount = Number(number[1]);
+    const unit = number[2].toLowerCase();
+    if (amount === 0 && !unitSensitive && LENGTH_UNITS.has(unit)) return '0';
+    return `${amount}${unit}`;
+  }
+
+  if (caseSensitive) return word;
+  const keyword = word.toLowerCase();
+  return NAMED_COLORS[keyword] || keyword;
+};
+
+/**
+ * Normalizes a CSS value so that equivalent values compare as equal:
+ * whitespace and case differences, `#fff`/`#ffffff`/`white`/`rgb(255,255,255)`,
+ * `0px`/`0`, `0.50`/`.5` and single-term `calc()` expressions.
+ * Strings, URLs and custom property names are left untouched.
+ *
+ * @param {string} value - The CSS value to normalize
+ * @param {string} [property] - The property the value belongs to
+ * @returns {string} - The normalized value
+ */
+const normalizeValue = (value, property = '') => {
+  const lowerProperty = property.toLowerCase();
+  // Custom property values may later be substituted into any context
+  const isCustomProperty = lowerProperty.startsWith('--');
+  const caseSensitive =
+    isCustomProperty || CASE_SENSITIVE_PROPERTIES.has(lowerProperty);
+  // `flex: 0` sets flex-grow while `flex: 0px` sets flex-basis
+  const propertyUnitSensitive = isCustomProperty || lowerProperty === 'flex';
+
+  const tokens =
+    /("(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?)|(url\((?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|[^)])*\))|(\s+)|([,/()])|([^\s,/()"']+)/gi;
+  /** @type {string[]} */
+  const parts = [];
+  /** @type {Array<{ name: string, index: number }>} */
+  const functions = [];
+  const trimSpace = () => {
+    if (parts[parts.length - 1] === ' ') parts.pop();
+  };
+
+  let match;
+  while ((match = tokens.exec(value))) {
+    const [, string, url, space, punctuation, word] = match;
+    const last = parts[parts.length - 1];
+
+    if (string) {
+      parts.push(string);
+    } else if (url) {
+      parts.push(`url(${url.slice(4, -1).trim()})`);
+    } else if (space) {
+      if (parts.length && !['(', ',', '/', ' '].includes(last)) {
+        parts.push(' ');
+      }
+    } else if (punctuation === '(') {
+      const isFunction =
+        value[match.index - 1] !== undefined &&
+        /[\w-]/.test(value[match.index - 1]);
+      functions.push({
+        name: isFunction ? last : '',
+        index: isFunction ? parts.length - 1 : parts.length,
+      });
+      parts.push('(');
+    } else if (punctuation === ')') {
+      trimSpace();
+      parts.push(')');
+      const fn = functions.pop();
+      if (fn) {
+        const expression = parts.slice(fn.index).join('');
+        const inner = parts.slice(fn.index + 2, -1);
+        let replacement = null;
+        if (fn.name === 'rgb' || fn.name === 'rgba') {
+          replacement = rgbToHex(expression);
+        } else if (fn.name === 'calc' && inner.length === 1) {
+          // A single-term calc() is equivalent to the term itself
+          replacement = normalizeWord(
+            inner[0],
+            caseSensitive,
+            propertyUnitSensitive ||
+              functions.some(({ name }) => UNIT_SENSITIVE_FUNCTIONS.has(name)),
+          );
+        }
+        if (replacement) {
+          parts.splice(fn.index, parts.length - fn.index, replacement);
+        }
+      }
+    } else if (punctuation) {
+      trimSpace();
+      parts.push(punctuation);
+    } else if (value[tokens.lastIndex] === '(') {
+      parts.push(word.toLowerCase());
+    } else {
+      const unitSensitive =
+        propertyUnitSensitive ||
+        functions.some(({ name }) => UNIT_SENSITIVE_FUNCTIONS.has(name));
+      parts.push(normalizeWord(word, caseSensitive, unitSensitive));
+    }
+  }
+
+  trimSpace();
+  return parts.join('');
+};
+
+module.exports = {
+  DEFAULT_PREFIXES,
+  getModernFeatures,
+  hasVendorPrefix,
+  isModernFallback,
+  isVendorFallback,
+  normalizeValue,
+};